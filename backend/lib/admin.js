@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Config store behind the admin UI
+ * - read() returns the raw servers.config.json (secrets included: only
+ *   the authenticated admin API uses it) plus its revision
+ * - write() validates against the config schema, refuses edits based on
+ *   an outdated revision (someone else saved in the meantime), copies
+ *   the current file to the backup directory, then writes atomically
+ *
+ * The watcher picks the new file up like any hand edit.
+ */
+
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const { atomicWriteJson } = require('./util');
+const { validateConfig } = require('./config');
+
+const MAX_BACKUPS = 20;
+
+function revisionOf(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function backupName(date = new Date()) {
+  // Colons are not allowed in Windows file names
+  return `servers.config.${date.toISOString().replace(/:/g, '-')}.json`;
+}
+
+function createConfigStore({ filePath, backupDir, maxBackups = MAX_BACKUPS }) {
+  let queue = Promise.resolve();
+
+  async function readText() {
+    try {
+      return await fsp.readFile(filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function read() {
+    const text = await readText();
+    if (text === null) return { config: { servers: [] }, revision: null };
+    let config;
+    try {
+      config = JSON.parse(text);
+    } catch (err) {
+      throw Object.assign(new Error(`servers.config.json is not valid JSON: ${err.message}`), { status: 409 });
+    }
+    return { config, revision: revisionOf(text) };
+  }
+
+  async function backup(text) {
+    await fsp.mkdir(backupDir, { recursive: true });
+    await fsp.writeFile(path.join(backupDir, backupName()), text, 'utf8');
+
+    // Names sort by time; drop the oldest beyond the limit
+    const names = (await fsp.readdir(backupDir))
+      .filter(n => /^servers\.config\..+\.json$/.test(n))
+      .sort();
+    const stale = names.slice(0, Math.max(0, names.length - maxBackups));
+    await Promise.all(stale.map(n => fsp.unlink(path.join(backupDir, n)).catch(() => {})));
+  }
+
+  /**
+   * Resolves to { revision, warnings }. Rejects with err.status set:
+   * 422 (invalid, err.errors / err.warnings), 409 (outdated revision).
+   */
+  function write(config, expectedRevision) {
+    const run = queue.then(async () => {
+      const { errors, warnings } = validateConfig(config);
+      if (errors.length) {
+        throw Object.assign(new Error('config is invalid'), { status: 422, errors, warnings });
+      }
+
+      const current = await readText();
+      const currentRevision = current === null ? null : revisionOf(current);
+      if (expectedRevision !== currentRevision) {
+        throw Object.assign(new Error('the config changed since it was loaded'), { status: 409 });
+      }
+
+      if (current !== null) await backup(current);
+      await atomicWriteJson(filePath, config);
+      return { revision: revisionOf(JSON.stringify(config, null, 2) + '\n'), warnings };
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    read,
+    write,
+  };
+}
+
+module.exports = {
+  createConfigStore,
+};
@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * Alerting
+ * - Compares each new status entry with the previous one
+ * - Turns online/offline flips into "down" / "up" events
+ * - Stays quiet while a maintenance window is active, while the server
+ *   is flapping, and while it is unreachable because something it
+ *   depends on is down (only that upstream alerts); afterwards the state
+ *   is announced if it differs from the last alert
+ * - Hands them to every enabled notifier (lib/notifiers) whose notifyOn
+ *   lists the event: Discord, Slack, webhook, ntfy, Gotify, email
+ *
+ * Channel settings come from the server's `notifications`, merged over
+ * the global `notifications` at the top of the config (setDefaults()).
+ */
+
+const { buildMessage, formatDuration } = require('./notifiers/message');
+const { channelsFor, getNotifier } = require('./notifiers');
+
+const DEFAULT_COOLDOWN_MS = 5 * 60 * 1000; // same event for the same server
+// Per channel: Discord allows ~5 webhook calls per 2s, and the same
+// budget keeps the other services from being flooded
+const RATE_LIMIT_MAX = 5;
+const RATE_LIMIT_WINDOW_MS = 2000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function detectTransition(prev, next) {
+  // First sighting: nothing to compare against
+  if (!prev || typeof prev.online !== 'boolean') return null;
+  if (prev.online && !next.online) return 'down';
+  if (!prev.online && next.online) return 'up';
+  return null;
+}
+
+function createAlerter({
+  env = process.env,
+  fetchImpl = fetch,
+  cooldownMs = DEFAULT_COOLDOWN_MS,
+  defaults = {},
+} = {}) {
+  const lastSent = new Map(); // id -> { event, at }, `${id}:${event}` -> at
+  const pending = new Map(); // id -> { event, timer } held by the cooldown
+  // Each channel has its own queue and rate limit, so a slow or throttled
+  // service never holds back the others
+  const lanes = new Map(); // channel name -> { queue, sentTimes }
+
+  function laneFor(name) {
+    if (!lanes.has(name)) lanes.set(name, { queue: Promise.resolve(), sentTimes: [] });
+    return lanes.get(name);
+  }
+
+  async function waitForSlot({ sentTimes }) {
+    while (true) {
+      const now = Date.now();
+      while (sentTimes.length && now - sentTimes[0] >= RATE_LIMIT_WINDOW_MS) sentTimes.shift();
+      if (sentTimes.length < RATE_LIMIT_MAX) {
+        sentTimes.push(now);
+        return;
+      }
+      await sleep(RATE_LIMIT_WINDOW_MS - (now - sentTimes[0]));
+    }
+  }
+
+  // Resolves to the error message, or null once delivered
+  async function deliver(channel, message) {
+    await waitForSlot(laneFor(channel.name));
+    try {
+      await getNotifier(channel.name)(channel.settings, message, { env, fetchImpl });
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }
+
+  function isDuplicate(id, event) {
+    // Never announce the same state twice in a row
+    return lastSent.get(id)?.event === event;
+  }
+
+  function cooldownRemaining(id, event) {
+    const at = lastSent.get(`${id}:${event}`);
+    return at ? cooldownMs - (Date.now() - at) : 0;
+  }
+
+  function send(server, event, channels, context) {
+    lastSent.set(server.id, { event, at: Date.now() });
+    lastSent.set(`${server.id}:${event}`, Date.now());
+
+    for (const channel of channels) {
+      const message = buildMessage(server, event, { ...context, sources: channel.templates });
+      const lane = laneFor(channel.name);
+      lane.queue = lane.queue.then(async () => {
+        const error = await deliver(channel, message);
+        if (error) console.error(`[alerts] ${server.id}: ${channel.name} ${event} failed: ${error}`);
+        else console.log(`[alerts] ${server.id}: ${event} -> ${channel.name}`);
+      });
+    }
+  }
+
+  return {
+    /**
+     * Feed one check result. Returns the event that was sent (or held
+     * back by the cooldown), or null when nothing goes out.
+     * `result` is the raw checker result (disabled/skipped never alert).
+     */
+    handle(server, prev, next, result = {}) {
+      if (next.maintenanceWindow) {
+        // Planned downtime: drop anything the cooldown was still holding
+        clearTimeout(pending.get(server.id)?.timer);
+        pending.delete(server.id);
+        return null;
+      }
+      // Judge the first check after a window against "up", so a server
+      // that did not come back from maintenance still alerts
+      if (prev?.maintenanceWindow) prev = { ...prev, online: true, since: undefined };
+
+      if (next.state === 'flapping' || next.state === 'unreachable') {
+        // Same as planned downtime: nothing goes out until it settles,
+        // and an unreachable server is covered by its upstream's alert
+        clearTimeout(pending.get(server.id)?.timer);
+        pending.delete(server.id);
+        return null;
+      }
+      // Settled: compare with what was last announced
+      if (prev?.state === 'flapping' || prev?.state === 'unreachable') {
+        prev = { ...prev, online: lastSent.get(server.id)?.event !== 'down', since: undefined };
+      }
+
+      const event = detectTransition(prev, next);
+      if (!event) return null;
+      if (result.disabled || result.skipped || server.maintenance === true) return null;
+
+      const channels = channelsFor(server, defaults).filter(c => c.notifyOn.includes(event));
+      if (!channels.length) return null;
+
+      // A flip back while an alert is held means nothing changed overall
+      const held = pending.get(server.id);
+      if (held) {
+        clearTimeout(held.timer);
+        pending.delete(server.id);
+        if (held.event !== event) {
+          console.log(`[alerts] ${server.id}: held ${held.event} dropped, ${event} again`);
+          return null;
+        }
+      }
+
+      if (isDuplicate(server.id, event)) return null;
+
+      // Flapping: hold the alert until the cooldown runs out, then send
+      // it only if no opposite transition cancelled it in the meantime.
+      const wait = cooldownRemaining(server.id, event);
+      if (wait > 0) {
+        console.log(`[alerts] ${server.id}: ${event} held for ${formatDuration(wait)} (cooldown)`);
+        const timer = setTimeout(() => {
+          pending.delete(server.id);
+          send(server, event, channels, { prev, next });
+        }, wait);
+        pending.set(server.id, { event, timer });
+        return event;
+      }
+
+      send(server, event, channels, { prev, next });
+      return event;
+    },
+
+    /**
+     * Sends a sample alert to every enabled channel of a server, ignoring
+     * notifyOn, the cooldown and the rate-limit history.
+     * Resolves to [{ name, error }] with error null on success.
+     */
+    async test(server, event, { prev, next }) {
+      const channels = channelsFor(server, defaults);
+      return Promise.all(channels.map(async (channel) => {
+        const message = buildMessage(server, event, { prev, next, sources: channel.templates });
+        return { name: channel.name, error: await deliver(channel, message) };
+      }));
+    },
+
+    // Global notifications from the config, re-applied on every reload
+    setDefaults(notifications) {
+      defaults = notifications || {};
+    },
+
+    // Resolves once every queued alert has been delivered (or given up on).
+    // Alerts still held by the cooldown are not waited for.
+    flush() {
+      return Promise.all([...lanes.values()].map(lane => lane.queue)).then(() => {});
+    },
+
+    stop() {
+      for (const held of pending.values()) clearTimeout(held.timer);
+      pending.clear();
+    },
+  };
+}
+
+module.exports = {
+  detectTransition,
+  createAlerter,
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+const dgram = require('dgram');
+const net = require('net');
+const crypto = require('crypto');
+const { toPlainText, toHtml } = require('./mctext');
+
+/**
+ * Minecraft Bedrock Edition "unconnected ping" (RakNet, UDP) without deps.
+ * Also answers for Geyser in front of a Java server.
+ * Returns:
+ * - online boolean
+ * - players { online, max } (optional)
+ * - version string (optional)
+ * - motd (plain) + motdHtml, edition, gamemode (optional)
+ *
+ * Protocol notes:
+ * - Ping:  0x01 | time (int64) | OFFLINE_MESSAGE_ID (16 bytes) | client GUID (int64)
+ * - Pong:  0x1c | time (int64) | server GUID (int64) | OFFLINE_MESSAGE_ID | len (uint16) | string
+ * - The string is ';'-separated:
+ *   edition;motd1;protocol;version;players;max;serverId;motd2;gamemode;gamemodeNum;portV4;portV6;
+ */
+
+const ID_UNCONNECTED_PING = 0x01;
+const ID_UNCONNECTED_PONG = 0x1c;
+const OFFLINE_MESSAGE_ID = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+
+function buildUnconnectedPing() {
+  const buf = Buffer.alloc(1 + 8 + 16 + 8);
+  buf.writeUInt8(ID_UNCONNECTED_PING, 0);
+  buf.writeBigInt64BE(BigInt(Date.now()), 1);
+  OFFLINE_MESSAGE_ID.copy(buf, 9);
+  crypto.randomBytes(8).copy(buf, 25); // client GUID
+  return buf;
+}
+
+function parseUnconnectedPong(buf) {
+  if (buf.length < 35 || buf[0] !== ID_UNCONNECTED_PONG) throw new Error('not a pong');
+  if (!buf.subarray(17, 33).equals(OFFLINE_MESSAGE_ID)) throw new Error('bad magic');
+
+  const len = buf.readUInt16BE(33);
+  if (35 + len > buf.length) throw new Error('truncated pong');
+  const parts = buf.toString('utf8', 35, 35 + len).split(';');
+  const [edition, motd1, , version, players, maxPlayers, , motd2, gamemode] = parts;
+
+  const out = { online: true };
+  const online = Number(players);
+  const max = Number(maxPlayers);
+  if (Number.isFinite(online) && Number.isFinite(max)) out.players = { online, max };
+  if (version) out.version = version;
+  if (edition) out.edition = edition;
+  if (gamemode) out.gamemode = gamemode;
+
+  // Both MOTD lines use § codes; formatting does not carry over a line
+  const lines = [motd1, motd2].filter(line => line && toPlainText(line));
+  if (lines.length) {
+    out.motd = lines.map(toPlainText).join('\n');
+    out.motdHtml = lines.map(toHtml).join('<br/>');
+  }
+
+  return out;
+}
+
+async function checkBedrock({ host, port, timeoutMs }) {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    const start = Date.now();
+    let done = false;
+
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      socket.close();
+      resolve({
+        ...result,
+        rttMs: Date.now() - start,
+      });
+    };
+
+    // UDP has no "connection refused" we can rely on: silence means offline
+    const timer = setTimeout(() => finish({ online: false }), timeoutMs);
+
+    socket.on('error', () => finish({ online: false }));
+
+    socket.on('message', (msg) => {
+      if (msg[0] !== ID_UNCONNECTED_PONG) return;
+      try {
+        return finish(parseUnconnectedPong(msg));
+      } catch {
+        return finish({ online: true });
+      }
+    });
+
+    socket.send(buildUnconnectedPing(), port, host, (err) => {
+      if (err) finish({ online: false });
+    });
+  });
+}
+
+module.exports = { checkBedrock, parseUnconnectedPong };
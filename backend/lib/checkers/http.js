@@ -0,0 +1,219 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * HTTP(S) check, optionally with assertions from server.http:
+ * - method, headers, body and auth ({ type: "basic", username, password }
+ *   or { type: "bearer", token }; passwordEnv / tokenEnv read the secret
+ *   from the environment instead, and headersEnv { name: "VAR" } adds
+ *   headers whose values come from environment variables)
+ * - expect.status        accepted codes (default: any 2xx/3xx)
+ * - expect.bodyContains  substring the body must contain
+ * - expect.bodyMatches   regular expression the body must match
+ * - expect.json          { path: "data.items[0].state", equals: "ok" }
+ * - expect.headers       { name: true (present) | "substring" }
+ * - tlsWarnDays          warn this many days before the certificate expires
+ *
+ * Returns:
+ * - online boolean, rttMs, httpStatus
+ * - failure: why the check counts as offline (status, assertion, error)
+ * - tls { expiresAt, daysLeft, warn } for https URLs
+ */
+
+const MAX_REDIRECTS = 5;
+const MAX_BODY_BYTES = 1024 * 1024; // assertions only look at the first MiB
+const DEFAULT_TLS_WARN_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function authHeader(auth) {
+  if (!auth) return null;
+  if (auth.type === 'basic') {
+    const password = auth.passwordEnv ? process.env[auth.passwordEnv] : auth.password;
+    return `Basic ${Buffer.from(`${auth.username}:${password ?? ''}`).toString('base64')}`;
+  }
+  if (auth.type === 'bearer') {
+    const token = auth.tokenEnv ? process.env[auth.tokenEnv] : auth.token;
+    return `Bearer ${token ?? ''}`;
+  }
+  return null;
+}
+
+function envHeaders(headersEnv) {
+  const out = {};
+  for (const [name, variable] of Object.entries(headersEnv || {})) {
+    if (process.env[variable] !== undefined) out[name] = process.env[variable];
+  }
+  return out;
+}
+
+function requestBody(body) {
+  if (body === undefined || body === null) return null;
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+function tlsInfo(socket, warnDays) {
+  const cert = typeof socket?.getPeerCertificate === 'function' ? socket.getPeerCertificate() : null;
+  const expires = Date.parse(cert?.valid_to);
+  if (!Number.isFinite(expires)) return undefined;
+
+  const daysLeft = Math.floor((expires - Date.now()) / DAY_MS);
+  return {
+    expiresAt: new Date(expires).toISOString(),
+    daysLeft,
+    warn: daysLeft <= warnDays,
+  };
+}
+
+// One request; resolves with { status, headers, body, tls } or rejects
+function send(url, { method, headers, body, readBody, warnDays, signal }) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const client = u.protocol === 'https:' ? https : http;
+
+    // agent: false -> a fresh connection, so rtt and certificate are current
+    const req = client.request(u, { method, headers, signal, agent: false }, (res) => {
+      const tls = u.protocol === 'https:' ? tlsInfo(res.socket, warnDays) : undefined;
+      const done = (text) => resolve({ status: res.statusCode, headers: res.headers, body: text, tls });
+
+      if (!readBody) {
+        res.resume();
+        res.once('end', () => done(null));
+        res.once('error', reject);
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        if (size >= MAX_BODY_BYTES) return;
+        chunks.push(chunk);
+        size += chunk.length;
+      });
+      res.once('end', () => done(Buffer.concat(chunks).subarray(0, MAX_BODY_BYTES).toString('utf8')));
+      res.once('error', reject);
+    });
+
+    req.once('error', reject);
+    req.end(body ?? undefined);
+  });
+}
+
+// "a.b[0].c" (a leading "$." is allowed); undefined when any step is missing
+function jsonPath(data, path) {
+  const keys = String(path).replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+  let cur = data;
+  for (const key of keys) {
+    if (cur === null || typeof cur !== 'object') return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+function show(value) {
+  return value === undefined ? 'missing' : JSON.stringify(value);
+}
+
+// First failed assertion as a readable sentence, or null
+function assertResponse(res, expect = {}) {
+  const accepted = Array.isArray(expect.status) && expect.status.length ? expect.status : null;
+  if (accepted ? !accepted.includes(res.status) : !(res.status >= 200 && res.status < 400)) {
+    return `status ${res.status}${accepted ? ` (expected ${accepted.join(', ')})` : ''}`;
+  }
+
+  for (const [name, want] of Object.entries(expect.headers || {})) {
+    const got = res.headers[name.toLowerCase()];
+    if (got === undefined) return `missing header ${name}`;
+    const text = Array.isArray(got) ? got.join(', ') : String(got);
+    if (typeof want === 'string' && !text.toLowerCase().includes(want.toLowerCase())) {
+      return `header ${name} is ${JSON.stringify(text)} (expected it to contain ${JSON.stringify(want)})`;
+    }
+  }
+
+  if (typeof expect.bodyContains === 'string' && !res.body.includes(expect.bodyContains)) {
+    return `body does not contain ${JSON.stringify(expect.bodyContains)}`;
+  }
+
+  if (typeof expect.bodyMatches === 'string' && !new RegExp(expect.bodyMatches).test(res.body)) {
+    return `body does not match /${expect.bodyMatches}/`;
+  }
+
+  if (expect.json) {
+    let data;
+    try {
+      data = JSON.parse(res.body);
+    } catch {
+      return 'body is not valid JSON';
+    }
+    const got = jsonPath(data, expect.json.path);
+    if (JSON.stringify(got) !== JSON.stringify(expect.json.equals)) {
+      return `${expect.json.path} is ${show(got)} (expected ${show(expect.json.equals)})`;
+    }
+  }
+
+  return null;
+}
+
+function needsBody(expect = {}) {
+  return expect.bodyContains !== undefined || expect.bodyMatches !== undefined || expect.json !== undefined;
+}
+
+/**
+ * `options` defaults to server.http; the statusUrl health check passes
+ * its own so it can use different expectations.
+ */
+async function checkHttp({ url, timeoutMs, server, options = server?.http || {} }) {
+  const start = Date.now();
+  const expect = options.expect || {};
+  const warnDays = Number.isFinite(options.tlsWarnDays) ? options.tlsWarnDays : DEFAULT_TLS_WARN_DAYS;
+
+  const headers = { 'User-Agent': 'nebula-servers', ...options.headers, ...envHeaders(options.headersEnv) };
+  const auth = authHeader(options.auth);
+  if (auth) headers.Authorization = auth;
+
+  let method = (options.method || 'GET').toUpperCase();
+  let body = requestBody(options.body);
+  const hasType = Object.keys(headers).some(h => h.toLowerCase() === 'content-type');
+  if (options.body && typeof options.body === 'object' && !hasType) headers['Content-Type'] = 'application/json';
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let target = url;
+    let tls;
+    let res;
+
+    for (let hop = 0; ; hop++) {
+      res = await send(target, { method, headers, body, readBody: needsBody(expect), warnDays, signal: controller.signal });
+      if (hop === 0) tls = res.tls; // the configured host's certificate
+
+      // Follow redirects unless the redirect itself is what we expect
+      const location = res.headers.location;
+      const redirect = res.status >= 300 && res.status < 400 && location;
+      if (!redirect || expect.status?.includes(res.status) || hop >= MAX_REDIRECTS) break;
+
+      const next = new URL(location, target);
+      if (next.origin !== new URL(target).origin) delete headers.Authorization; // never leak credentials
+      target = next.toString();
+      if (res.status === 303 || ((res.status === 301 || res.status === 302) && method === 'POST')) {
+        method = 'GET';
+        body = null;
+      }
+    }
+
+    const failure = assertResponse(res, expect);
+    const result = { online: !failure, rttMs: Date.now() - start, httpStatus: res.status };
+    if (failure) result.failure = failure;
+    if (tls) result.tls = tls;
+    return result;
+  } catch (err) {
+    const failure = controller.signal.aborted ? `timed out after ${timeoutMs} ms` : err.message;
+    return { online: false, rttMs: Date.now() - start, failure };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { checkHttp };
@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Checker registry
+ * Maps a `polling.method` name to the function that performs the check.
+ *
+ * Each entry declares what target it needs:
+ * - "url"      -> called with { url, timeoutMs, server }
+ * - "hostport" -> called with { host, port, timeoutMs, server }
+ *
+ * New protocols register themselves here; nothing else in the poller
+ * needs to know about them.
+ */
+
+const { checkTcp } = require('./tcp');
+const { checkHttp } = require('./http');
+const { checkMinecraft } = require('./minecraft');
+const { checkSource } = require('./source');
+const { checkBedrock } = require('./bedrock');
+
+const CHECKERS = new Map();
+
+function registerChecker(name, { needs, run }) {
+  if (needs !== 'url' && needs !== 'hostport') {
+    throw new Error(`checker "${name}" must need "url" or "hostport", got "${needs}"`);
+  }
+  if (typeof run !== 'function') {
+    throw new Error(`checker "${name}" must provide a run() function`);
+  }
+  CHECKERS.set(name, { name, needs, run });
+}
+
+function getChecker(name) {
+  return CHECKERS.get(name) || null;
+}
+
+function listCheckers() {
+  return [...CHECKERS.keys()];
+}
+
+registerChecker('tcp', { needs: 'hostport', run: checkTcp });
+registerChecker('http', { needs: 'url', run: checkHttp });
+registerChecker('minecraft', { needs: 'hostport', run: checkMinecraft });
+registerChecker('source', { needs: 'hostport', run: checkSource });
+registerChecker('minecraft-bedrock', { needs: 'hostport', run: checkBedrock });
+
+module.exports = {
+  registerChecker,
+  getChecker,
+  listCheckers,
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Minecraft text formatting -> plain text / safe HTML
+ * Handles both chat components ({ text, color, bold, extra: [...] }) and
+ * legacy "§" codes, which may also appear inside component text.
+ *
+ * The HTML only ever contains <span style="..."> and <br/>; every piece
+ * of server-provided text is escaped, and colors are whitelisted.
+ */
+
+const NAMED_COLORS = {
+  black: '#000000',
+  dark_blue: '#0000AA',
+  dark_green: '#00AA00',
+  dark_aqua: '#00AAAA',
+  dark_red: '#AA0000',
+  dark_purple: '#AA00AA',
+  gold: '#FFAA00',
+  gray: '#AAAAAA',
+  dark_gray: '#555555',
+  blue: '#5555FF',
+  green: '#55FF55',
+  aqua: '#55FFFF',
+  red: '#FF5555',
+  light_purple: '#FF55FF',
+  yellow: '#FFFF55',
+  white: '#FFFFFF',
+};
+
+// §0-§f in order
+const LEGACY_COLORS = Object.values(NAMED_COLORS);
+
+const LEGACY_FORMATS = {
+  k: 'obfuscated',
+  l: 'bold',
+  m: 'strikethrough',
+  n: 'underlined',
+  o: 'italic',
+};
+
+const STYLE_KEYS = ['bold', 'italic', 'underlined', 'strikethrough', 'obfuscated'];
+
+// Safety net for hostile servers sending deeply nested components
+const MAX_DEPTH = 16;
+
+function resolveColor(color) {
+  if (typeof color !== 'string') return undefined;
+  if (NAMED_COLORS[color]) return NAMED_COLORS[color];
+  if (/^#[0-9a-f]{6}$/i.test(color)) return color.toUpperCase();
+  return undefined;
+}
+
+// Splits a string with § codes into styled runs, starting from `base`
+function legacyRuns(text, base, out) {
+  let style = { ...base };
+  let buf = '';
+
+  const flush = () => {
+    if (buf) out.push({ ...style, text: buf });
+    buf = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== '§' || i + 1 >= text.length) {
+      buf += text[i];
+      continue;
+    }
+    const code = text[++i].toLowerCase();
+    flush();
+    const idx = '0123456789abcdef'.indexOf(code);
+    if (idx !== -1) {
+      // A color code also resets formatting
+      style = { color: LEGACY_COLORS[idx] };
+    } else if (code === 'r') {
+      style = { ...base };
+    } else if (LEGACY_FORMATS[code]) {
+      style[LEGACY_FORMATS[code]] = true;
+    }
+  }
+  flush();
+}
+
+function componentRuns(node, base, out, depth = 0) {
+  if (depth > MAX_DEPTH || node === null || node === undefined) return;
+
+  if (typeof node === 'string' || typeof node === 'number') {
+    legacyRuns(String(node), base, out);
+    return;
+  }
+  if (Array.isArray(node)) {
+    // A bare array is a list of siblings sharing the parent style
+    for (const child of node) componentRuns(child, base, out, depth + 1);
+    return;
+  }
+  if (typeof node !== 'object') return;
+
+  const style = { ...base };
+  const color = resolveColor(node.color);
+  if (color) style.color = color;
+  for (const key of STYLE_KEYS) {
+    if (typeof node[key] === 'boolean') style[key] = node[key];
+  }
+
+  if (typeof node.text === 'string') legacyRuns(node.text, style, out);
+  else if (typeof node.translate === 'string') legacyRuns(node.translate, style, out);
+
+  if (Array.isArray(node.extra)) {
+    for (const child of node.extra) componentRuns(child, style, out, depth + 1);
+  }
+}
+
+function toRuns(description) {
+  const out = [];
+  componentRuns(description, {}, out);
+  return out;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function runStyle(run) {
+  const css = [];
+  if (run.color) css.push(`color:${run.color}`);
+  if (run.bold) css.push('font-weight:700');
+  if (run.italic) css.push('font-style:italic');
+  const deco = [];
+  if (run.underlined) deco.push('underline');
+  if (run.strikethrough) deco.push('line-through');
+  if (deco.length) css.push(`text-decoration:${deco.join(' ')}`);
+  return css.join(';');
+}
+
+function toPlainText(description) {
+  return toRuns(description)
+    .map(r => r.text)
+    .join('')
+    .trim();
+}
+
+function toHtml(description) {
+  return toRuns(description)
+    .map((run) => {
+      // Obfuscated text is random noise in-game; show it as-is but dimmed
+      const text = escapeHtml(run.text).replace(/\r?\n/g, '<br/>');
+      const style = runStyle(run) + (run.obfuscated ? ';opacity:.6' : '');
+      return style ? `<span style="${style.replace(/^;/, '')}">${text}</span>` : text;
+    })
+    .join('')
+    .trim();
+}
+
+module.exports = {
+  toPlainText,
+  toHtml,
+};
@@ -0,0 +1,261 @@
+'use strict';
+
+const net = require('net');
+const { withTimeout } = require('../util');
+const { toPlainText, toHtml } = require('./mctext');
+
+/**
+ * Minecraft "Server List Ping" (Java Edition) without deps.
+ * Returns:
+ * - online boolean
+ * - players { online, max } (optional)
+ * - version string, protocol number (optional)
+ * - motd (plain) + motdHtml (escaped, styled spans) (optional)
+ * - favicon data:image/png URI (optional)
+ * - playerSample [names] (optional)
+ * - modloader + mods { count, list } for Forge/NeoForge/Fabric (optional)
+ * - rttMs from a real ping/pong when the server answers it
+ *
+ * Protocol notes:
+ * - Handshake (packet 0x00) then Status Request (0x00)
+ * - Read Status Response (0x00) which contains JSON string
+ * - Then Ping (0x01, int64 payload) -> Pong (0x01, same payload)
+ * - Packets may arrive split across TCP chunks (or several in one)
+ */
+
+const PACKET_STATUS = 0x00;
+const PACKET_PING = 0x01;
+
+const MAX_FAVICON_CHARS = 64 * 1024; // vanilla icons are 64x64 PNGs, a few KB
+// Base64 only (some servers wrap it in newlines): nothing that could
+// end the <img src=""> attribute on the dashboard
+const FAVICON_RE = /^data:image\/png;base64,[A-Za-z0-9+/=\r\n]+$/;
+const MAX_SAMPLE = 12;
+const MAX_MOD_LIST = 50;
+function writeVarInt(value) {
+  const bytes = [];
+  let v = value >>> 0;
+  while (true) {
+    if ((v & 0xffffff80) === 0) {
+      bytes.push(v);
+      return Buffer.from(bytes);
+    }
+    bytes.push((v & 0x7f) | 0x80);
+    v >>>= 7;
+  }
+}
+
+function readVarInt(buf, offset = 0) {
+  let numRead = 0;
+  let result = 0;
+  let byte = 0;
+
+  do {
+    if (offset + numRead >= buf.length) return null;
+    byte = buf[offset + numRead];
+    result |= (byte & 0x7f) << (7 * numRead);
+    numRead++;
+    if (numRead > 5) return null;
+  } while ((byte & 0x80) !== 0);
+
+  return { value: result, size: numRead };
+}
+
+function writeString(str) {
+  const strBuf = Buffer.from(str, 'utf8');
+  return Buffer.concat([writeVarInt(strBuf.length), strBuf]);
+}
+
+function buildMcHandshakePacket({ host, port, protocolVersion = 758 /* 1.18.2+-ish */ }) {
+  // protocolVersion can be whatever; most servers accept unknown-ish values for status ping
+  const packetId = writeVarInt(0x00);
+  const pv = writeVarInt(protocolVersion);
+  const hostStr = writeString(host);
+  const portBuf = Buffer.alloc(2);
+  portBuf.writeUInt16BE(port, 0);
+  const nextState = writeVarInt(0x01); // status
+
+  const data = Buffer.concat([packetId, pv, hostStr, portBuf, nextState]);
+  return Buffer.concat([writeVarInt(data.length), data]);
+}
+
+function buildMcStatusRequestPacket() {
+  const packetId = writeVarInt(0x00);
+  const data = packetId;
+  return Buffer.concat([writeVarInt(data.length), data]);
+}
+
+function buildMcPingPacket(payload) {
+  const body = Buffer.alloc(8);
+  body.writeBigInt64BE(payload, 0);
+  const data = Buffer.concat([writeVarInt(PACKET_PING), body]);
+  return Buffer.concat([writeVarInt(data.length), data]);
+}
+
+// Returns { id, body, size } for the first full packet, or null if incomplete
+function readPacket(buf) {
+  const lenInfo = readVarInt(buf, 0);
+  if (!lenInfo) return null;
+  const size = lenInfo.size + lenInfo.value;
+  if (buf.length < size) return null;
+
+  const idInfo = readVarInt(buf, lenInfo.size);
+  if (!idInfo) throw new Error('bad packet id');
+
+  return {
+    id: idInfo.value,
+    body: buf.subarray(lenInfo.size + idInfo.size, size),
+    size,
+  };
+}
+
+function readStatusJson(body) {
+  const jsonLenInfo = readVarInt(body, 0);
+  if (!jsonLenInfo) throw new Error('bad json length');
+  const start = jsonLenInfo.size;
+  return JSON.parse(body.subarray(start, start + jsonLenInfo.value).toString('utf8'));
+}
+
+function parseMods(parsed) {
+  // Forge <= 1.12
+  if (parsed?.modinfo && Array.isArray(parsed.modinfo.modList)) {
+    const list = parsed.modinfo.modList.map(m => ({ id: m.modid, version: m.version }));
+    return { modloader: 'forge', list };
+  }
+
+  // Forge 1.13+ / NeoForge. Large lists are compressed into forgeData.d,
+  // in which case only the loader is reported.
+  if (parsed?.forgeData) {
+    const mods = Array.isArray(parsed.forgeData.mods) ? parsed.forgeData.mods : [];
+    const channels = Array.isArray(parsed.forgeData.channels) ? parsed.forgeData.channels : [];
+    const neo = channels.some(c => String(c.res || '').startsWith('neoforge:'));
+    const list = mods.map(m => ({ id: m.modId, version: m.modmarker }));
+    return { modloader: neo ? 'neoforge' : 'forge', list };
+  }
+
+  // Fabric/Quilt don't advertise mods; the version name often says it
+  const name = String(parsed?.version?.name || '').toLowerCase();
+  for (const loader of ['neoforge', 'forge', 'fabric', 'quilt']) {
+    if (name.includes(loader)) return { modloader: loader, list: [] };
+  }
+
+  return null;
+}
+
+function isFavicon(value) {
+  return typeof value === 'string' && value.length <= MAX_FAVICON_CHARS && FAVICON_RE.test(value);
+}
+
+function parseStatus(parsed) {
+  const playersOnline = parsed?.players?.online;
+  const playersMax = parsed?.players?.max;
+  const versionName = parsed?.version?.name;
+  const protocol = parsed?.version?.protocol;
+
+  const out = { online: true };
+  if (Number.isFinite(playersOnline) && Number.isFinite(playersMax)) {
+    out.players = { online: playersOnline, max: playersMax };
+  }
+  if (typeof versionName === 'string') {
+    out.version = toPlainText(versionName);
+  }
+  if (Number.isInteger(protocol)) {
+    out.protocol = protocol;
+  }
+
+  if (parsed?.description !== undefined) {
+    const motd = toPlainText(parsed.description);
+    if (motd) {
+      out.motd = motd;
+      out.motdHtml = toHtml(parsed.description);
+    }
+  }
+
+  if (isFavicon(parsed?.favicon)) out.favicon = parsed.favicon;
+
+  const sample = parsed?.players?.sample;
+  if (Array.isArray(sample)) {
+    const names = sample
+      .map(p => (typeof p?.name === 'string' ? toPlainText(p.name) : ''))
+      .filter(Boolean)
+      .slice(0, MAX_SAMPLE);
+    if (names.length) out.playerSample = names;
+  }
+
+  const mods = parseMods(parsed);
+  if (mods) {
+    out.modloader = mods.modloader;
+    out.mods = {
+      count: mods.list.length,
+      list: mods.list.filter(m => typeof m.id === 'string').slice(0, MAX_MOD_LIST),
+    };
+  }
+
+  return out;
+}
+
+async function checkMinecraft({ host, port, timeoutMs }) {
+  const start = Date.now();
+
+  return withTimeout(
+    new Promise((resolve) => {
+      const socket = new net.Socket();
+      let buf = Buffer.alloc(0);
+      let status = null; // parsed status, once received
+      let pingPayload = null;
+      let pingSentAt = 0;
+
+      const finish = (result) => {
+        socket.destroy();
+        resolve({
+          rttMs: Date.now() - start,
+          ...result,
+        });
+      };
+
+      // Once the status is in, a missing pong only costs us the precise ping
+      const settle = () => finish(status || { online: false });
+
+      socket.once('error', settle);
+      socket.setTimeout(timeoutMs, settle);
+      socket.on('close', settle);
+
+      socket.connect(port, host, () => {
+        try {
+          socket.write(buildMcHandshakePacket({ host, port }));
+          socket.write(buildMcStatusRequestPacket());
+        } catch {
+          finish({ online: false });
+        }
+      });
+
+      socket.on('data', (d) => {
+        buf = Buffer.concat([buf, d]);
+        try {
+          let packet;
+          while ((packet = readPacket(buf))) {
+            buf = buf.subarray(packet.size);
+
+            if (!status && packet.id === PACKET_STATUS) {
+              status = parseStatus(readStatusJson(packet.body));
+              pingPayload = BigInt(Date.now());
+              pingSentAt = Date.now();
+              socket.write(buildMcPingPacket(pingPayload));
+            } else if (status && packet.id === PACKET_PING) {
+              const ok = packet.body.length >= 8 && packet.body.readBigInt64BE(0) === pingPayload;
+              return finish(ok ? { ...status, rttMs: Date.now() - pingSentAt } : status);
+            } else {
+              throw new Error(`unexpected packet 0x${packet.id.toString(16)}`);
+            }
+          }
+        } catch {
+          settle();
+        }
+      });
+    }),
+    timeoutMs + 250,
+    'minecraft-timeout'
+  );
+}
+
+module.exports = { checkMinecraft, isFavicon, parseStatus };
@@ -0,0 +1,207 @@
+'use strict';
+
+const dgram = require('dgram');
+const net = require('net');
+
+/**
+ * Source Engine / GoldSrc "A2S_INFO" query (UDP) without deps.
+ * Works for CS2, Garry's Mod, Rust, Valheim, TF2... on the Steam query port.
+ * Returns:
+ * - online boolean
+ * - players { online, max } (optional)
+ * - version string (optional, Source only)
+ * - map, game, bots, vac, password (optional)
+ *
+ * Protocol notes:
+ * - Request: FF FF FF FF 'T' "Source Engine Query\0"
+ * - Newer servers answer 'A' + 4-byte challenge first; the request is
+ *   then repeated with the challenge appended
+ * - 'I' is the Source response, 'm' the obsolete GoldSrc one
+ */
+
+const HEADER_SIMPLE = -1; // FF FF FF FF
+const HEADER_SPLIT = -2; // FE FF FF FF (multi-packet, never needed for A2S_INFO)
+
+const A2S_INFO = 0x54;
+const S2C_CHALLENGE = 0x41;
+const S2A_INFO_SRC = 0x49;
+const S2A_INFO_GOLDSRC = 0x6d;
+
+const THE_SHIP_APP_ID = 2400;
+const MAX_CHALLENGES = 2;
+
+function buildInfoRequest(challenge) {
+  const payload = Buffer.concat([
+    Buffer.from([0xff, 0xff, 0xff, 0xff, A2S_INFO]),
+    Buffer.from('Source Engine Query\0', 'latin1'),
+  ]);
+  return challenge ? Buffer.concat([payload, challenge]) : payload;
+}
+
+// Little-endian cursor; throws RangeError when the packet is truncated
+function createReader(buf, offset = 0) {
+  let pos = offset;
+  return {
+    byte() {
+      return buf.readUInt8(pos++);
+    },
+    short() {
+      const v = buf.readUInt16LE(pos);
+      pos += 2;
+      return v;
+    },
+    long() {
+      const v = buf.readInt32LE(pos);
+      pos += 4;
+      return v;
+    },
+    string() {
+      const end = buf.indexOf(0, pos);
+      if (end === -1) throw new RangeError('unterminated string');
+      const v = buf.toString('utf8', pos, end);
+      pos = end + 1;
+      return v;
+    },
+  };
+}
+
+function parseSourceInfo(r) {
+  r.byte(); // protocol
+  const name = r.string();
+  const map = r.string();
+  r.string(); // folder
+  const game = r.string();
+  const appId = r.short();
+  const players = r.byte();
+  const maxPlayers = r.byte();
+  const bots = r.byte();
+  r.byte(); // server type: d/l/p
+  r.byte(); // environment: l/w/m
+  const visibility = r.byte();
+  const vac = r.byte();
+
+  if (appId === THE_SHIP_APP_ID) {
+    r.byte(); // mode
+    r.byte(); // witnesses
+    r.byte(); // duration
+  }
+
+  const version = r.string();
+
+  return {
+    online: true,
+    players: { online: players, max: maxPlayers },
+    version,
+    name,
+    map,
+    game,
+    bots,
+    vac: vac === 1,
+    password: visibility === 1,
+  };
+}
+
+function parseGoldSrcInfo(r) {
+  r.string(); // address
+  const name = r.string();
+  const map = r.string();
+  r.string(); // folder
+  const game = r.string();
+  const players = r.byte();
+  const maxPlayers = r.byte();
+  r.byte(); // protocol
+  r.byte(); // server type
+  r.byte(); // environment
+  const visibility = r.byte();
+  const isMod = r.byte();
+
+  if (isMod === 1) {
+    r.string(); // link
+    r.string(); // download link
+    r.byte(); // null
+    r.long(); // mod version
+    r.long(); // mod size
+    r.byte(); // type
+    r.byte(); // dll
+  }
+
+  const vac = r.byte();
+  const bots = r.byte();
+
+  return {
+    online: true,
+    players: { online: players, max: maxPlayers },
+    name,
+    map,
+    game,
+    bots,
+    vac: vac === 1,
+    password: visibility === 1,
+  };
+}
+
+function parseInfoResponse(buf) {
+  const type = buf[4];
+  const r = createReader(buf, 5);
+  if (type === S2A_INFO_SRC) return parseSourceInfo(r);
+  if (type === S2A_INFO_GOLDSRC) return parseGoldSrcInfo(r);
+  throw new Error(`unexpected response 0x${type.toString(16)}`);
+}
+
+async function checkSource({ host, port, timeoutMs }) {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    let sentAt = Date.now();
+    let challenges = 0;
+    let done = false;
+
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      socket.close();
+      resolve({
+        ...result,
+        rttMs: Date.now() - sentAt,
+      });
+    };
+
+    // UDP has no "connection refused" we can rely on: silence means offline
+    const timer = setTimeout(() => finish({ online: false }), timeoutMs);
+
+    const send = (challenge) => {
+      sentAt = Date.now();
+      socket.send(buildInfoRequest(challenge), port, host, (err) => {
+        if (err) finish({ online: false });
+      });
+    };
+
+    socket.on('error', () => finish({ online: false }));
+
+    socket.on('message', (msg) => {
+      if (msg.length < 5) return;
+      const header = msg.readInt32LE(0);
+
+      // Anything from the query port proves the server is up
+      if (header === HEADER_SPLIT) return finish({ online: true });
+      if (header !== HEADER_SIMPLE) return;
+
+      const type = msg[4];
+      if (type === S2C_CHALLENGE) {
+        if (msg.length < 9 || challenges >= MAX_CHALLENGES) return finish({ online: true });
+        challenges++;
+        return send(msg.subarray(5, 9));
+      }
+
+      try {
+        return finish(parseInfoResponse(msg));
+      } catch {
+        return finish({ online: true });
+      }
+    });
+
+    send();
+  });
+}
+
+module.exports = { checkSource, parseInfoResponse };
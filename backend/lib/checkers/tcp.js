@@ -0,0 +1,34 @@
+'use strict';
+
+const net = require('net');
+const { withTimeout } = require('../util');
+
+async function checkTcp({ host, port, timeoutMs }) {
+  const start = Date.now();
+  const online = await withTimeout(
+    new Promise((resolve) => {
+      const socket = new net.Socket();
+
+      const done = (ok) => {
+        socket.destroy();
+        resolve(ok);
+      };
+
+      socket.once('connect', () => done(true));
+      socket.once('error', () => done(false));
+      socket.once('timeout', () => done(false));
+
+      socket.setTimeout(timeoutMs);
+      socket.connect(port, host);
+    }),
+    timeoutMs + 250,
+    'tcp-check-timeout'
+  );
+
+  return {
+    online,
+    rttMs: Date.now() - start,
+  };
+}
+
+module.exports = { checkTcp };
@@ -0,0 +1,526 @@
+'use strict';
+
+/**
+ * servers.config.json schema + validator
+ * - Errors make the config unusable (startup refuses it, reloads keep the
+ *   previous one, --check-config exits non-zero)
+ * - Warnings are printed but tolerated: unknown keys (likely typos),
+ *   legacy spellings the poller still accepts, like "port": "25565", and
+ *   secrets written inline instead of read from the environment
+ *
+ * Every message starts with a path into the file, e.g.
+ *   [3].polling.timeoutMs must be a positive number
+ */
+
+const { listCheckers } = require('./checkers');
+const { parseCron } = require('./maintenance');
+const { findCycle } = require('./dependencies');
+
+// ---------------------------
+// Schema building blocks
+// ---------------------------
+const str = (opts = {}) => ({ type: 'string', ...opts });
+const num = (opts = {}) => ({ type: 'number', ...opts });
+const bool = (opts = {}) => ({ type: 'boolean', ...opts });
+const arr = (items, opts = {}) => ({ type: 'array', items, ...opts });
+const obj = (fields, opts = {}) => ({ type: 'object', fields, ...opts });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const url = (opts = {}) => ({ type: 'url', ...opts });
+const port = () => ({ type: 'port' });
+const snowflake = () => ({ type: 'snowflake' });
+const timestamp = () => ({ type: 'timestamp' });
+const cron = () => ({ type: 'cron' });
+const regex = () => ({ type: 'regex' });
+const any = () => ({ type: 'any' });
+const map = (values, opts = {}) => ({ type: 'map', values, ...opts });
+
+const NOTIFY_EVENTS = ['down', 'up'];
+// Header names that usually carry credentials
+const SECRET_HEADER = /auth|cookie|token|secret|key|pass/i;
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Checkers register at require time, so resolve the list lazily
+function pollingMethods() {
+  return ['auto', ...listCheckers()];
+}
+
+// One-off ({ start, end }) or recurring ({ cron, durationMinutes })
+function windowRule(w) {
+  const oneOff = w.start !== undefined || w.end !== undefined;
+  if (w.cron !== undefined && oneOff) return 'must use either cron or start/end, not both';
+  if (w.cron !== undefined) {
+    return w.durationMinutes === undefined ? 'needs durationMinutes with cron' : null;
+  }
+  if (w.start === undefined || w.end === undefined) return 'needs start and end (or cron and durationMinutes)';
+  if (Date.parse(w.end) <= Date.parse(w.start)) return 'end must be after start';
+  return null;
+}
+
+const WINDOW_FIELDS = {
+  start: timestamp(),
+  end: timestamp(),
+  cron: cron(),
+  durationMinutes: num({ positive: true }),
+  reason: nullable(str()),
+};
+
+const WINDOW_SCHEMA = obj(WINDOW_FIELDS, { rule: windowRule });
+
+// Top-level windows also say who they cover (nobody listed = everyone)
+const SHARED_WINDOW_SCHEMA = obj({
+  ...WINDOW_FIELDS,
+  servers: arr(str({ nonEmpty: true })),
+  groups: arr(str({ nonEmpty: true })),
+}, { rule: windowRule });
+
+// basic needs a username and a password, bearer a token (inline or from env)
+function authRule(a) {
+  if (a.type === 'basic') {
+    if (a.username === undefined) return 'needs username with type "basic"';
+    if (a.password === undefined && a.passwordEnv === undefined) return 'needs password or passwordEnv with type "basic"';
+  }
+  if (a.type === 'bearer' && a.token === undefined && a.tokenEnv === undefined) {
+    return 'needs token or tokenEnv with type "bearer"';
+  }
+  return null;
+}
+
+// What a response must look like to count as online
+const EXPECT_SCHEMA = obj({
+  status: arr(num({ integer: true, min: 100, max: 599 })),
+  bodyContains: str(),
+  bodyMatches: regex(),
+  json: obj({
+    path: str({ required: true, nonEmpty: true }),
+    equals: any(),
+  }, { rule: (j) => (j.equals === undefined ? 'needs equals' : null) }),
+  headers: map({ type: 'header' }),
+});
+
+// Alert text per event; {name}, {reason}, {downtime}... are filled in
+const TEMPLATE_SCHEMA = obj({ title: str({ nonEmpty: true }), body: str() });
+const TEMPLATES_SCHEMA = obj({ down: TEMPLATE_SCHEMA, up: TEMPLATE_SCHEMA });
+
+// Fields every channel shares
+const channel = (fields) => obj({
+  enabled: bool(),
+  notifyOn: arr(str({ enum: NOTIFY_EVENTS })),
+  templates: TEMPLATES_SCHEMA,
+  ...fields,
+});
+
+// Server-level and global (top of the config); servers override per key
+const NOTIFICATIONS_SCHEMA = obj({
+  notifyOn: arr(str({ enum: NOTIFY_EVENTS })),
+  templates: TEMPLATES_SCHEMA,
+
+  discord: channel({
+    webhookUrl: nullable(url({ secret: 'webhookUrlEnv' })),
+    webhookUrlEnv: str({ nonEmpty: true }),
+    channelId: nullable(snowflake()),
+    mentionRoleId: nullable(snowflake()),
+  }),
+  slack: channel({
+    webhookUrl: nullable(url({ secret: 'webhookUrlEnv' })),
+    webhookUrlEnv: str({ nonEmpty: true }),
+    channel: nullable(str({ nonEmpty: true })),
+  }),
+  webhook: channel({
+    url: url(),
+    headers: map(str(), { secretKeys: SECRET_HEADER, secretEnv: 'headersEnv' }),
+    headersEnv: map(str({ nonEmpty: true })),
+  }),
+  ntfy: channel({
+    url: url(),
+    topic: str({ nonEmpty: true }),
+    token: str({ secret: 'tokenEnv' }),
+    tokenEnv: str({ nonEmpty: true }),
+    priority: num({ integer: true, min: 1, max: 5 }),
+  }),
+  gotify: channel({
+    url: url(),
+    token: str({ secret: 'tokenEnv' }),
+    tokenEnv: str({ nonEmpty: true }),
+    priority: num({ integer: true, min: 0, max: 10 }),
+  }),
+  email: channel({
+    host: str({ nonEmpty: true }),
+    port: port(),
+    secure: bool(),
+    starttls: bool(),
+    username: str(),
+    password: str({ secret: 'passwordEnv' }),
+    passwordEnv: str({ nonEmpty: true }),
+    from: str({ nonEmpty: true }),
+    to: arr(str({ nonEmpty: true })),
+  }),
+});
+
+const SERVER_SCHEMA = obj({
+  id: str({ required: true, nonEmpty: true }),
+  group: nullable(str()),
+  kind: nullable(str()),
+  subkind: nullable(str()),
+  name: nullable(str()),
+  description: nullable(str()),
+  enabled: { type: 'enabled' },
+  maintenance: bool(),
+  maintenanceReason: nullable(str()),
+  maintenanceWindows: arr(WINDOW_SCHEMA),
+
+  ip: nullable(str({ nonEmpty: true })),
+  host: nullable(str({ nonEmpty: true })),
+  port: nullable(port()),
+  url: nullable(url()),
+  timeoutMs: num({ positive: true }), // legacy spot for polling.timeoutMs
+
+  polling: obj({
+    method: str({ enum: pollingMethods }),
+    timeoutMs: num({ positive: true }),
+    intervalMs: num({ positive: true }),
+    retries: num({ integer: true, min: 0 }),
+    queryPort: nullable(port()),
+  }),
+
+  http: obj({
+    method: str({ enum: HTTP_METHODS }),
+    headers: map(str(), { secretKeys: SECRET_HEADER, secretEnv: 'headersEnv' }),
+    headersEnv: map(str({ nonEmpty: true })),
+    body: any(),
+    auth: obj({
+      type: str({ required: true, enum: ['basic', 'bearer'] }),
+      username: str(),
+      password: str({ secret: 'passwordEnv' }),
+      passwordEnv: str({ nonEmpty: true }),
+      token: str({ secret: 'tokenEnv' }),
+      tokenEnv: str({ nonEmpty: true }),
+    }, { rule: authRule }),
+    expect: EXPECT_SCHEMA,
+    statusExpect: EXPECT_SCHEMA, // for endpoints.statusUrl
+    tlsWarnDays: num({ integer: true, min: 0 }),
+  }),
+
+  endpoints: obj({
+    homepage: nullable(url()),
+    statusUrl: nullable(url()),
+    joinHint: nullable(str()),
+    joinUri: nullable(str({ nonEmpty: true })),
+  }),
+
+  notifications: NOTIFICATIONS_SCHEMA,
+
+  // Ids of servers this one cannot be reached without (proxy, database)
+  dependsOn: arr(str({ nonEmpty: true })),
+
+  incidents: obj({
+    enabled: bool(),
+    thresholdMs: num({ positive: true }),
+  }),
+
+  flapping: obj({
+    changes: num({ integer: true, min: 2 }),
+    windowMs: num({ positive: true }),
+  }),
+
+  degraded: obj({
+    latencyMs: nullable(num({ positive: true })),
+  }),
+
+  tags: arr(str({ nonEmpty: true })),
+
+  // Free-form by design
+  meta: obj({}, { additional: true }),
+});
+
+// ---------------------------
+// Validator
+// ---------------------------
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return JSON.stringify(value);
+  return typeof value === 'object' ? 'an object' : String(value);
+}
+
+function joinPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+// Levenshtein distance, for "did you mean" hints on unknown keys
+function distance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+function suggest(key, known) {
+  let best = null;
+  for (const k of known) {
+    const d = distance(key.toLowerCase(), k.toLowerCase());
+    if (d <= 2 && (!best || d < best.d)) best = { k, d };
+  }
+  return best ? ` (did you mean "${best.k}"?)` : '';
+}
+
+function check(value, schema, path, out) {
+  const fail = (msg) => out.errors.push(`${path} ${msg}`);
+  const warn = (msg) => out.warnings.push(`${path} ${msg}`);
+
+  if (value === null && schema.nullable) return;
+
+  // servers.config.json sits in frontend/: hosted as static files, it is
+  // readable by anyone (only --serve filters it)
+  if (schema.secret && value !== '') {
+    warn(`is a secret stored in the public config file; set ${schema.secret} and keep the value in the environment`);
+  }
+
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value !== 'string') return fail('must be a string');
+      if (schema.nonEmpty && !value.trim()) return fail('must not be empty');
+      const allowed = typeof schema.enum === 'function' ? schema.enum() : schema.enum;
+      if (allowed && !allowed.includes(value)) {
+        return fail(`must be one of: ${allowed.join(', ')} (got ${describe(value)})`);
+      }
+      return;
+    }
+
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        if (schema.positive) return fail('must be a positive number');
+        if (schema.integer) return fail(`must be an integer${schema.min !== undefined ? ` >= ${schema.min}` : ''}`);
+        return fail('must be a number');
+      }
+      if (schema.positive && value <= 0) return fail('must be a positive number');
+      if (schema.integer && !Number.isInteger(value)) return fail('must be an integer');
+      if (schema.min !== undefined && value < schema.min) return fail(`must be >= ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max) return fail(`must be <= ${schema.max}`);
+      return;
+    }
+
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('must be true or false');
+      return;
+
+    case 'enabled':
+      // isEnabled() still understands "false" and 0, but say so
+      if (typeof value === 'boolean' || value === undefined) return;
+      if (value === 'false' || value === 'true' || value === 0 || value === 1) {
+        return warn(`should be true or false (got ${describe(value)})`);
+      }
+      return fail('must be true or false');
+
+    case 'port': {
+      const n = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+      if (!Number.isInteger(n) || n < 1 || n > 65535) {
+        return fail(`must be a port number between 1 and 65535 (got ${describe(value)})`);
+      }
+      if (typeof value === 'string') warn(`should be a number, not a string (got ${describe(value)})`);
+      return;
+    }
+
+    case 'url': {
+      if (typeof value !== 'string') return fail('must be a URL string');
+      let u;
+      try {
+        u = new URL(value);
+      } catch {
+        return fail(`must be a valid URL (got ${describe(value)})`);
+      }
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') return fail('must be an http(s) URL');
+      return;
+    }
+
+    case 'snowflake':
+      // Discord ids overflow JSON numbers, so they have to be strings
+      if (typeof value === 'number') return fail('must be a string (Discord ids lose precision as numbers)');
+      if (typeof value !== 'string' || !/^\d+$/.test(value)) return fail('must be a numeric Discord id string');
+      return;
+
+    case 'timestamp':
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        return fail(`must be an ISO date/time such as "2025-01-31T02:00:00Z" (got ${describe(value)})`);
+      }
+      return;
+
+    case 'cron':
+      if (typeof value !== 'string') return fail('must be a cron expression string');
+      try {
+        parseCron(value);
+      } catch (err) {
+        return fail(`is not a valid cron expression: ${err.message}`);
+      }
+      return;
+
+    case 'regex':
+      if (typeof value !== 'string') return fail('must be a regular expression string');
+      try {
+        new RegExp(value);
+      } catch (err) {
+        return fail(`is not a valid regular expression: ${err.message}`);
+      }
+      return;
+
+    case 'header':
+      // true = must be present, a string = must contain it
+      if (value !== true && typeof value !== 'string') return fail('must be true or a string');
+      return;
+
+    case 'any':
+      return;
+
+    case 'map':
+      // Free-form keys, every value checked against one schema
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      for (const [key, item] of Object.entries(value)) {
+        const secret = schema.secretKeys?.test(key) && { ...schema.values, secret: schema.secretEnv };
+        check(item, secret || schema.values, joinPath(path, key), out);
+      }
+      return;
+
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be an array');
+      value.forEach((item, i) => check(item, schema.items, joinPath(path, i), out));
+      return;
+
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+
+      const known = Object.keys(schema.fields);
+      for (const key of known) {
+        const field = schema.fields[key];
+        if (value[key] === undefined) {
+          if (field.required) out.errors.push(`${joinPath(path, key)} is required`);
+          continue;
+        }
+        check(value[key], field, joinPath(path, key), out);
+      }
+
+      if (!schema.additional) {
+        for (const key of Object.keys(value)) {
+          if (!known.includes(key)) {
+            out.warnings.push(`${joinPath(path, key)} is not a known field${suggest(key, known)}`);
+          }
+        }
+      }
+
+      if (schema.rule) {
+        const problem = schema.rule(value);
+        if (problem) fail(problem);
+      }
+      return;
+    }
+
+    default:
+      throw new Error(`unknown schema type "${schema.type}"`);
+  }
+}
+
+// Dashboard tabs, in order; "all" only overrides the overview's texts
+const GROUP_SCHEMA = obj({
+  id: str({ required: true, nonEmpty: true }),
+  title: nullable(str()),
+  tab: nullable(str()),
+  tagline: nullable(str()),
+});
+
+const CONFIG_SCHEMA = obj({
+  groups: arr(GROUP_SCHEMA),
+  servers: arr(SERVER_SCHEMA, { required: true }),
+  maintenanceWindows: arr(SHARED_WINDOW_SCHEMA),
+  notifications: NOTIFICATIONS_SCHEMA,
+});
+
+/**
+ * servers.config.json is either a plain array of servers or
+ * { groups: [...], servers: [...], maintenanceWindows: [...], notifications: {...} }.
+ * Returns { groups, servers, maintenanceWindows, notifications }; use after
+ * validateConfig().
+ */
+function splitConfig(config) {
+  if (Array.isArray(config)) return { groups: [], servers: config, maintenanceWindows: [], notifications: {} };
+  return {
+    groups: config.groups || [],
+    servers: config.servers,
+    maintenanceWindows: config.maintenanceWindows || [],
+    notifications: config.notifications || {},
+  };
+}
+
+/**
+ * Validates a parsed servers.config.json.
+ * Returns { errors: string[], warnings: string[] }.
+ */
+function validateConfig(config) {
+  const out = { errors: [], warnings: [] };
+
+  if (Array.isArray(config)) {
+    config.forEach((server, i) => check(server, SERVER_SCHEMA, `[${i}]`, out));
+  } else if (config && typeof config === 'object') {
+    check(config, CONFIG_SCHEMA, '', out);
+    if (!Array.isArray(config.servers)) return out;
+  } else {
+    out.errors.push('servers.config.json must be an array of servers or an object with a "servers" array');
+    return out;
+  }
+
+  const servers = splitConfig(config).servers;
+  const prefix = Array.isArray(config) ? '' : 'servers';
+
+  // Status is keyed by id, so duplicates would overwrite each other
+  const seen = new Map();
+  servers.forEach((server, i) => {
+    const id = server?.id;
+    if (typeof id !== 'string') return;
+    if (seen.has(id)) out.errors.push(`${prefix}[${i}].id "${id}" duplicates ${prefix}[${seen.get(id)}].id`);
+    else seen.set(id, i);
+  });
+
+  // With a groups section, a server in an unlisted group never gets a tab
+  const groups = Array.isArray(config.groups) ? config.groups.map(g => g?.id) : [];
+  if (groups.length) {
+    servers.forEach((server, i) => {
+      const group = server?.group;
+      if (typeof group === 'string' && !groups.includes(group)) {
+        out.warnings.push(`${prefix}[${i}].group "${group}" is not listed in groups${suggest(group, groups.filter(Boolean))}`);
+      }
+    });
+  }
+
+  // dependsOn has to name other servers, without going round in circles
+  const ids = [...seen.keys()];
+  servers.forEach((server, i) => {
+    if (!Array.isArray(server?.dependsOn)) return;
+    server.dependsOn.forEach((dep, j) => {
+      if (typeof dep !== 'string') return;
+      const at = `${prefix}[${i}].dependsOn[${j}]`;
+      if (dep === server.id) out.errors.push(`${at} "${dep}" is the server itself`);
+      else if (!seen.has(dep)) out.errors.push(`${at} "${dep}" is not a server id${suggest(dep, ids)}`);
+    });
+  });
+  const cycle = findCycle(servers.filter(s => typeof s?.id === 'string'));
+  if (cycle) out.errors.push(`dependsOn forms a cycle: ${cycle.join(' -> ')}`);
+
+  return out;
+}
+
+function printIssues({ errors, warnings }, prefix = '[config]') {
+  for (const w of warnings) console.warn(`${prefix} warning: ${w}`);
+  for (const e of errors) console.error(`${prefix} error: ${e}`);
+}
+
+module.exports = {
+  validateConfig,
+  splitConfig,
+  printIssues,
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * Dependencies between servers (dependsOn: [ids])
+ * - A server that is offline while something it depends on is offline
+ *   is "unreachable": the upstream is the root cause, and only the root
+ *   cause alerts
+ * - entry.upstream names the root cause, following chains: a game
+ *   server behind a proxy that runs on a dead database points at the
+ *   database
+ *
+ * Cycles and unknown ids are rejected by the config check.
+ */
+
+function upstreamIds(server) {
+  return Array.isArray(server?.dependsOn) ? server.dependsOn : [];
+}
+
+/**
+ * Root cause for a server from the latest status of what it depends on,
+ * or null. statusOf(id) returns null for servers that do not count
+ * (disabled, not checked yet).
+ */
+function rootCause(server, statusOf) {
+  for (const id of upstreamIds(server)) {
+    const st = statusOf(id);
+    if (st && st.online === false) return st.upstream || id;
+  }
+  return null;
+}
+
+/**
+ * Marks an offline entry "unreachable" when something it depends on is
+ * down. Sets entry.state, entry.reason and entry.upstream.
+ */
+function applyDependencies(entry, server, statusOf, nameOf = (id) => id) {
+  delete entry.upstream;
+  if (entry.online) return entry;
+
+  const root = rootCause(server, statusOf);
+  if (!root) return entry;
+
+  entry.state = 'unreachable';
+  entry.upstream = root;
+  entry.reason = `upstream ${nameOf(root)} down`;
+  return entry;
+}
+
+// Servers that depend on `id`, directly or further down the chain
+function dependentsOf(id, servers) {
+  const out = [];
+  const seen = new Set([id]);
+  const queue = [id];
+  while (queue.length) {
+    const current = queue.shift();
+    for (const server of servers) {
+      if (seen.has(server.id) || !upstreamIds(server).includes(current)) continue;
+      seen.add(server.id);
+      out.push(server);
+      queue.push(server.id);
+    }
+  }
+  return out;
+}
+
+// Everything after what it depends on, for one-shot runs
+function dependencyOrder(servers) {
+  const byId = new Map(servers.map(s => [s.id, s]));
+  const out = [];
+  const done = new Set();
+
+  const visit = (server) => {
+    if (done.has(server.id)) return;
+    done.add(server.id);
+    for (const id of upstreamIds(server)) {
+      if (byId.has(id)) visit(byId.get(id));
+    }
+    out.push(server);
+  };
+  servers.forEach(visit);
+  return out;
+}
+
+/**
+ * First dependency cycle in the config as a list of ids
+ * (["a", "b", "a"]), or null.
+ */
+function findCycle(servers) {
+  const byId = new Map(servers.map(s => [s.id, s]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+
+  const visit = (id) => {
+    if (state.get(id) === 'done') return null;
+    if (state.get(id) === 'visiting') return [...stack.slice(stack.indexOf(id)), id];
+
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const up of upstreamIds(byId.get(id))) {
+      if (!byId.has(up) || up === id) continue; // self-references are reported on their own
+      const cycle = visit(up);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const id of byId.keys()) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+module.exports = {
+  upstreamIds,
+  rootCause,
+  applyDependencies,
+  dependentsOf,
+  dependencyOrder,
+  findCycle,
+};
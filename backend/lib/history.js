@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * Check history + uptime rollups
+ * - Every real check is appended to a daily NDJSON file
+ *   (history/YYYY-MM-DD.ndjson), one { at, id, online, rttMs?, players? } per line
+ * - Files older than retentionDays are deleted
+ * - rollup.json keeps hourly [checks, up, peakPlayers?] buckets per server,
+ *   so uptime percentages and player peaks never re-read the raw history
+ */
+
+const fsp = require('fs/promises');
+const path = require('path');
+
+const { readJsonIfExists, atomicWriteJson } = require('./util');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_RETENTION_DAYS = 30;
+const ROLLUP_VERSION = 1;
+
+// Windows reported in the status file, largest last
+const UPTIME_WINDOWS = {
+  '24h': DAY_MS,
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS,
+};
+
+function hourKey(ms) {
+  return new Date(ms).toISOString().slice(0, 13); // "2026-01-29T14"
+}
+
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10); // "2026-01-29"
+}
+
+// players is { online, max } in status entries and history lines
+function playersOnline(players) {
+  const n = Number(players?.online);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function roundPct(up, checks) {
+  return Math.round((up / checks) * 10000) / 100;
+}
+
+function createHistory({ dir, retentionDays = DEFAULT_RETENTION_DAYS }) {
+  const historyDir = path.join(dir, 'history');
+  const rollupPath = path.join(dir, 'rollup.json');
+
+  let rollup = { version: ROLLUP_VERSION, servers: {} };
+  let lines = []; // buffered NDJSON lines, grouped by day at flush time
+  let lastPruneDay = null;
+
+  async function load() {
+    const raw = await readJsonIfExists(rollupPath, null);
+    if (raw && raw.version === ROLLUP_VERSION && raw.servers && typeof raw.servers === 'object') {
+      rollup = raw;
+    }
+  }
+
+  function record(id, { at, online, rttMs, players }) {
+    const ms = Date.parse(at);
+    if (!Number.isFinite(ms)) return;
+
+    const sample = { at, id, online: Boolean(online) };
+    if (Number.isFinite(rttMs)) sample.rttMs = rttMs;
+    if (players !== undefined) sample.players = players;
+    lines.push({ day: dayKey(ms), json: JSON.stringify(sample) });
+
+    const buckets = (rollup.servers[id] ||= {});
+    const bucket = (buckets[hourKey(ms)] ||= [0, 0]);
+    bucket[0] += 1;
+    if (sample.online) bucket[1] += 1;
+
+    const count = playersOnline(players);
+    if (count !== null) bucket[2] = Math.max(bucket[2] ?? 0, count);
+  }
+
+  function uptime(id, now = Date.now()) {
+    const buckets = rollup.servers[id] || {};
+    const out = {};
+
+    for (const [label, windowMs] of Object.entries(UPTIME_WINDOWS)) {
+      const from = hourKey(now - windowMs);
+      let checks = 0;
+      let up = 0;
+      for (const [key, [c, u]] of Object.entries(buckets)) {
+        if (key < from) continue;
+        checks += c;
+        up += u;
+      }
+      out[label] = checks ? roundPct(up, checks) : null;
+    }
+
+    return out;
+  }
+
+  /**
+   * Player activity from the hourly peaks, or null for servers that never
+   * reported players:
+   * - peakToday (since local midnight) and peakWeek (last 7 days)
+   * - last24h: 24 hourly peaks, oldest first, null where nothing was seen
+   */
+  function players(id, now = Date.now()) {
+    const buckets = rollup.servers[id] || {};
+
+    const peakSince = (fromMs) => {
+      const from = hourKey(fromMs);
+      let peak = null;
+      for (const [key, bucket] of Object.entries(buckets)) {
+        if (key >= from && bucket[2] !== undefined) peak = Math.max(peak ?? 0, bucket[2]);
+      }
+      return peak;
+    };
+
+    const last24h = [];
+    for (let i = 23; i >= 0; i--) last24h.push(buckets[hourKey(now - i * HOUR_MS)]?.[2] ?? null);
+
+    const peakWeek = peakSince(now - 7 * DAY_MS);
+    if (peakWeek === null) return null;
+
+    const midnight = new Date(now);
+    midnight.setHours(0, 0, 0, 0);
+    return { peakToday: peakSince(midnight.getTime()), peakWeek, last24h };
+  }
+
+  function pruneRollup(now) {
+    const from = hourKey(now - retentionDays * DAY_MS);
+    for (const buckets of Object.values(rollup.servers)) {
+      for (const key of Object.keys(buckets)) {
+        if (key < from) delete buckets[key];
+      }
+    }
+  }
+
+  async function pruneFiles(now) {
+    const oldest = dayKey(now - retentionDays * DAY_MS);
+    let names;
+    try {
+      names = await fsp.readdir(historyDir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const name of names) {
+      const m = /^(\d{4}-\d{2}-\d{2})\.ndjson$/.exec(name);
+      if (m && m[1] < oldest) await fsp.unlink(path.join(historyDir, name));
+    }
+  }
+
+  // Drops rollups for servers no longer in the config
+  function retain(ids) {
+    const keep = new Set(ids);
+    for (const id of Object.keys(rollup.servers)) {
+      if (!keep.has(id)) delete rollup.servers[id];
+    }
+  }
+
+  async function flush(now = Date.now()) {
+    const pending = lines;
+    lines = [];
+
+    if (pending.length) {
+      await fsp.mkdir(historyDir, { recursive: true });
+      const byDay = new Map();
+      for (const { day, json } of pending) {
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(json);
+      }
+      for (const [day, jsons] of byDay) {
+        await fsp.appendFile(path.join(historyDir, `${day}.ndjson`), jsons.join('\n') + '\n', 'utf8');
+      }
+    }
+
+    // Pruning is cheap but pointless more than once a day
+    const today = dayKey(now);
+    if (lastPruneDay !== today) {
+      lastPruneDay = today;
+      pruneRollup(now);
+      await pruneFiles(now);
+    }
+
+    await fsp.mkdir(dir, { recursive: true });
+    await atomicWriteJson(rollupPath, rollup);
+  }
+
+  return {
+    load,
+    record,
+    uptime,
+    players,
+    retain,
+    flush,
+  };
+}
+
+module.exports = {
+  UPTIME_WINDOWS,
+  createHistory,
+};
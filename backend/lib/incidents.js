@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * Incident tracking
+ * - A server offline for longer than its threshold opens an incident
+ *   (or joins one opened in the last few minutes: correlated outages)
+ * - The incident resolves once every affected server is back up
+ * - Operators add notes with `poller.js --incident-note <id> "text"`
+ *
+ * incidents.json is shared by the poller and the CLI, so every change is
+ * a read-modify-write of the file rather than an in-memory copy.
+ * It lives next to the dashboard, which renders it as a public timeline:
+ *   { nextId, incidents: [{ id, status, title, servers, down, startedAt,
+ *     resolvedAt, durationMs, updates: [{ at, type, text }] }] }
+ */
+
+const { nowIso, readJsonIfExists, atomicWriteJson } = require('./util');
+
+const DEFAULT_THRESHOLD_MS = 2 * 60 * 1000;
+const MERGE_WINDOW_MS = 5 * 60 * 1000; // outages this close together share an incident
+const MAX_RESOLVED = 200; // older resolved incidents fall off the timeline
+
+function emptyStore() {
+  return { nextId: 1, incidents: [] };
+}
+
+function thresholdFor(server) {
+  const v = Number(server?.incidents?.thresholdMs);
+  return Number.isFinite(v) && v > 0 ? v : DEFAULT_THRESHOLD_MS;
+}
+
+function serverName(server) {
+  return server.name || server.id;
+}
+
+function createIncidents({ filePath }) {
+  // Server ids in an open incident, so steady-state checks need no I/O
+  let tracked = new Set();
+  let queue = Promise.resolve();
+
+  async function read() {
+    const raw = await readJsonIfExists(filePath, null);
+    if (!raw || !Array.isArray(raw.incidents)) return emptyStore();
+    return { nextId: Number(raw.nextId) || raw.incidents.length + 1, incidents: raw.incidents };
+  }
+
+  function remember(store) {
+    tracked = new Set(
+      store.incidents.filter(i => i.status === 'open').flatMap(i => i.down)
+    );
+  }
+
+  // Serialised read-modify-write; `fn` returns false to skip the write
+  function mutate(fn) {
+    const run = queue.then(async () => {
+      const store = await read();
+      const result = await fn(store);
+      if (result !== false) {
+        const resolved = store.incidents.filter(i => i.status !== 'open');
+        if (resolved.length > MAX_RESOLVED) {
+          const drop = new Set(resolved.slice(0, resolved.length - MAX_RESOLVED));
+          store.incidents = store.incidents.filter(i => !drop.has(i));
+        }
+        await atomicWriteJson(filePath, store);
+      }
+      remember(store);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function load() {
+    remember(await read());
+  }
+
+  function open(server, entry) {
+    return mutate((store) => {
+      if (store.incidents.some(i => i.status === 'open' && i.down.includes(server.id))) return false;
+
+      const at = nowIso();
+      const line = `${serverName(server)} is offline (down since ${entry.since})`;
+      // A server already listed (down again before the rest recovered)
+      // goes back into its incident
+      const recent = store.incidents.find(i => i.status === 'open' && (
+        i.servers.includes(server.id) || Date.now() - Date.parse(i.startedAt) <= MERGE_WINDOW_MS
+      ));
+
+      if (recent) {
+        if (!recent.servers.includes(server.id)) recent.servers.push(server.id);
+        recent.down.push(server.id);
+        recent.updates.push({ at, type: 'down', text: line });
+        console.log(`[incidents] #${recent.id}: ${server.id} joined`);
+        return recent;
+      }
+
+      const incident = {
+        id: store.nextId++,
+        status: 'open',
+        title: `${serverName(server)} outage`,
+        servers: [server.id],
+        down: [server.id],
+        startedAt: entry.since,
+        resolvedAt: null,
+        durationMs: null,
+        updates: [{ at, type: 'opened', text: line }],
+      };
+      store.incidents.push(incident);
+      console.log(`[incidents] #${incident.id} opened: ${server.id} down since ${entry.since}`);
+      return incident;
+    });
+  }
+
+  function recover(serverId, text) {
+    return mutate((store) => {
+      const incident = store.incidents.find(i => i.status === 'open' && i.down.includes(serverId));
+      if (!incident) return false;
+
+      const at = nowIso();
+      incident.down = incident.down.filter(id => id !== serverId);
+      incident.updates.push({ at, type: 'up', text });
+
+      if (!incident.down.length) {
+        incident.status = 'resolved';
+        incident.resolvedAt = at;
+        incident.durationMs = Date.parse(at) - Date.parse(incident.startedAt);
+        incident.updates.push({ at, type: 'resolved', text: 'All affected servers are back online' });
+        console.log(`[incidents] #${incident.id} resolved`);
+      }
+      return incident;
+    });
+  }
+
+  /**
+   * Feeds one check into the tracker. Disabled, skipped and
+   * maintenance-window checks never open anything.
+   */
+  async function update(server, entry, result = {}) {
+    if (entry.online) {
+      if (!tracked.has(server.id)) return null;
+      return recover(server.id, `${serverName(server)} is back online`);
+    }
+
+    if (result.disabled || result.skipped || server.incidents?.enabled === false) return null;
+    if (server.maintenance === true || entry.maintenanceWindow) return null;
+    if (tracked.has(server.id)) return null;
+
+    const downFor = Date.now() - Date.parse(entry.since);
+    if (!(downFor >= thresholdFor(server))) return null;
+    return open(server, entry);
+  }
+
+  // Servers dropped from the config can never recover on their own
+  function retain(ids) {
+    const keep = new Set(ids);
+    return Promise.all(
+      [...tracked].filter(id => !keep.has(id)).map(id => recover(id, `${id} was removed from the config`))
+    );
+  }
+
+  // Operator note on an incident, by incident number or server id
+  // (a server id picks that server's most recent incident)
+  function addNote(ref, text) {
+    return mutate((store) => {
+      const byId = /^#?\d+$/.test(ref) ? Number(String(ref).replace('#', '')) : null;
+      const incident = byId !== null
+        ? store.incidents.find(i => i.id === byId)
+        : [...store.incidents].reverse().find(i => i.servers.includes(ref));
+      if (!incident) throw new Error(`no incident matches "${ref}"`);
+
+      incident.updates.push({ at: nowIso(), type: 'note', text });
+      return incident;
+    });
+  }
+
+  async function list() {
+    return (await read()).incidents;
+  }
+
+  // Waits for queued writes (one-shot runs exit right after)
+  function flush() {
+    return queue;
+  }
+
+  return {
+    load,
+    update,
+    retain,
+    addNote,
+    list,
+    flush,
+  };
+}
+
+module.exports = {
+  createIncidents,
+};
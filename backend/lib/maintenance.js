@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Scheduled maintenance windows
+ * - One-off:   { start, end, reason }              (ISO timestamps)
+ * - Recurring: { cron, durationMinutes, reason }   (5-field cron, poller's local time)
+ *
+ * Windows live on a server (server.maintenanceWindows) or at the top level
+ * of the config, where `servers` / `groups` pick who they apply to.
+ *
+ * Cron fields: minute hour day-of-month month day-of-week, each "*", a
+ * number, a range "1-5", a step "*\/15" or "0-30/10", or a list of those.
+ * Like classic cron, when both day fields are restricted either may match.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const UPCOMING_HORIZON_MS = 7 * DAY_MS;
+const UPCOMING_LIMIT = 3;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`bad ${name} "${part}"`);
+
+    const lo = m[1] === '*' ? min : Number(m[2]);
+    const hi = m[1] === '*' ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : lo;
+    const step = m[4] ? Number(m[4]) : 1;
+
+    if (lo < min || hi > max) throw new Error(`${name} "${part}" is out of range ${min}-${max}`);
+    if (lo > hi) throw new Error(`bad ${name} range "${part}"`);
+    if (step < 1) throw new Error(`bad ${name} step "${part}"`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+const cronCache = new Map();
+
+// Throws with a readable message on a bad expression
+function parseCron(expr) {
+  if (cronCache.has(expr)) return cronCache.get(expr);
+
+  const parts = String(expr).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`expected 5 fields, got ${parts.length}`);
+
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  const cron = {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+  cronCache.set(expr, cron);
+  return cron;
+}
+
+function dayMatches(cron, d) {
+  const dom = cron.days.has(d.getDate());
+  const dow = cron.weekdays.has(d.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+// First minute >= fromMs matching the expression, or null past untilMs
+function nextCronStart(cron, fromMs, untilMs) {
+  const d = new Date(Math.ceil(fromMs / MINUTE_MS) * MINUTE_MS);
+
+  while (d.getTime() <= untilMs) {
+    if (!cron.months.has(d.getMonth() + 1) || !dayMatches(cron, d)) {
+      d.setHours(24, 0, 0, 0);
+    } else if (!cron.hours.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d.getTime();
+    }
+  }
+  return null;
+}
+
+// Occurrences of one window overlapping [fromMs, untilMs), oldest first
+function occurrences(window, fromMs, untilMs, limit = UPCOMING_LIMIT) {
+  const out = [];
+
+  if (window.cron) {
+    const cron = parseCron(window.cron);
+    const durationMs = window.durationMinutes * MINUTE_MS;
+    let at = fromMs - durationMs + 1; // still running when the range starts
+    while (out.length < limit) {
+      const start = nextCronStart(cron, at, untilMs - 1);
+      if (start === null) break;
+      out.push({ start, end: start + durationMs });
+      at = start + MINUTE_MS;
+    }
+    return out;
+  }
+
+  const start = Date.parse(window.start);
+  const end = Date.parse(window.end);
+  if (start < untilMs && end > fromMs) out.push({ start, end });
+  return out;
+}
+
+function appliesTo(window, server) {
+  const byId = Array.isArray(window.servers) && window.servers.includes(server.id);
+  const byGroup = Array.isArray(window.groups) && window.groups.includes(server.group);
+  // A shared window without selectors covers everything
+  if (!window.servers && !window.groups) return true;
+  return byId || byGroup;
+}
+
+function windowsFor(server, shared = []) {
+  const own = Array.isArray(server.maintenanceWindows) ? server.maintenanceWindows : [];
+  return [...own, ...shared.filter(w => appliesTo(w, server))];
+}
+
+function toPublic({ start, end }, window) {
+  return {
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    reason: window.reason ?? null,
+  };
+}
+
+/**
+ * Where a server stands at `now`:
+ * - active:   the running window ending last, or null
+ * - upcoming: the next windows within a week, soonest first
+ */
+function maintenanceState(windows, now = Date.now()) {
+  let active = null;
+  const upcoming = [];
+
+  for (const window of windows) {
+    for (const occ of occurrences(window, now, now + UPCOMING_HORIZON_MS)) {
+      if (occ.start <= now) {
+        if (!active || occ.end > active.occ.end) active = { occ, window };
+      } else {
+        upcoming.push({ occ, window });
+      }
+    }
+  }
+
+  upcoming.sort((a, b) => a.occ.start - b.occ.start);
+  return {
+    active: active ? toPublic(active.occ, active.window) : null,
+    upcoming: upcoming.slice(0, UPCOMING_LIMIT).map(u => toPublic(u.occ, u.window)),
+  };
+}
+
+module.exports = {
+  parseCron,
+  windowsFor,
+  maintenanceState,
+};
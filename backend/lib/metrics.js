@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * Prometheus metrics (text exposition format 0.0.4)
+ * - Per server, labelled with id, group, kind and tags from the config:
+ *   up/rtt/players gauges from the status entries, plus check counters and
+ *   a check-duration histogram kept since the poller started
+ * - Poller self-metrics: last one-shot run (duration, worker saturation)
+ *   and, in watch mode, the scheduler's concurrency limiter
+ *
+ * Served at GET /metrics by --serve, or written with --metrics-file for
+ * node_exporter's textfile collector.
+ */
+
+const { isEnabled } = require('./util');
+
+const STATES = ['online', 'offline', 'degraded', 'flapping', 'unreachable'];
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function serverLabels(server) {
+  return {
+    id: server.id,
+    group: server.group || '',
+    kind: server.kind || '',
+    tags: Array.isArray(server.tags) ? server.tags.join(',') : '',
+  };
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  return Number.isInteger(v) ? String(v) : String(Math.round(v * 1e6) / 1e6);
+}
+
+// Collects one metric family at a time, HELP/TYPE header first
+function createWriter() {
+  const lines = [];
+  return {
+    family(name, type, help, samples) {
+      if (!samples.length) return;
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const [suffix, labels, value] of samples) {
+        lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    },
+    text() {
+      return lines.join('\n') + '\n';
+    },
+  };
+}
+
+function createMetrics() {
+  const checks = new Map(); // id -> { total, failures, errors, sum, buckets[] }
+  let lastRun = null;
+
+  function observeCheck(server, result, durationMs) {
+    let c = checks.get(server.id);
+    if (!c) {
+      c = { total: 0, failures: 0, errors: 0, sum: 0, buckets: DURATION_BUCKETS.map(() => 0) };
+      checks.set(server.id, c);
+    }
+
+    const seconds = durationMs / 1000;
+    c.total += 1;
+    c.sum += seconds;
+    if (!result.online) c.failures += 1;
+    if (result.error) c.errors += 1;
+    DURATION_BUCKETS.forEach((le, i) => {
+      if (seconds <= le) c.buckets[i] += 1;
+    });
+  }
+
+  // One-shot run: { durationMs, saturation, limit }
+  function observeRun(run) {
+    lastRun = { ...run, at: Date.now() };
+  }
+
+  function retain(ids) {
+    const keep = new Set(ids);
+    for (const id of checks.keys()) {
+      if (!keep.has(id)) checks.delete(id);
+    }
+  }
+
+  /**
+   * servers: the config list; status: Map or plain object of entries;
+   * scheduler: optional, for limiter occupancy in watch mode.
+   */
+  function render({ servers, status, scheduler, startedAt }) {
+    const get = (id) => (status instanceof Map ? status.get(id) : status[id]);
+    const w = createWriter();
+
+    const gauges = { up: [], maintenance: [], rtt: [], online: [], max: [], lastCheck: [], tls: [], health: [], probe: [], state: [] };
+    const counters = { total: [], failures: [], errors: [] };
+    const durations = [];
+
+    for (const server of servers) {
+      const labels = serverLabels(server);
+      const entry = get(server.id);
+
+      if (entry && isEnabled(server)) {
+        gauges.up.push(['', labels, entry.online ? 1 : 0]);
+        if (entry.state) {
+          for (const state of STATES) gauges.state.push(['', { ...labels, state }, entry.state === state ? 1 : 0]);
+        }
+        const planned = server.maintenance === true || Boolean(entry.maintenanceWindow);
+        gauges.maintenance.push(['', labels, planned ? 1 : 0]);
+        if (entry.online && Number.isFinite(entry.rttMs)) gauges.rtt.push(['', labels, entry.rttMs]);
+        if (entry.online && Number.isFinite(entry.players?.online)) gauges.online.push(['', labels, entry.players.online]);
+        if (entry.online && Number.isFinite(entry.players?.max)) gauges.max.push(['', labels, entry.players.max]);
+        const at = Date.parse(entry.lastCheckAt);
+        if (Number.isFinite(at)) gauges.lastCheck.push(['', labels, at / 1000]);
+        const expires = Date.parse(entry.tls?.expiresAt);
+        if (Number.isFinite(expires)) gauges.tls.push(['', labels, expires / 1000]);
+        if (entry.health) gauges.health.push(['', labels, entry.health.online ? 1 : 0]);
+        for (const p of entry.probes || []) {
+          gauges.probe.push(['', { ...labels, probe: p.id, region: p.region }, p.online ? 1 : 0]);
+        }
+      }
+
+      const c = checks.get(server.id);
+      if (!c) continue;
+      counters.total.push(['', labels, c.total]);
+      counters.failures.push(['', labels, c.failures]);
+      counters.errors.push(['', labels, c.errors]);
+      DURATION_BUCKETS.forEach((le, i) => durations.push(['_bucket', { ...labels, le: String(le) }, c.buckets[i]]));
+      durations.push(['_bucket', { ...labels, le: '+Inf' }, c.total]);
+      durations.push(['_sum', labels, c.sum]);
+      durations.push(['_count', labels, c.total]);
+    }
+
+    w.family('nebula_server_up', 'gauge', 'Whether the last check succeeded (1) or not (0).', gauges.up);
+    w.family('nebula_server_state', 'gauge', 'Current state: 1 for the active one of online, offline, degraded, flapping, unreachable.', gauges.state);
+    w.family('nebula_server_maintenance', 'gauge', 'Whether the server is in maintenance (1) or not (0).', gauges.maintenance);
+    w.family('nebula_server_rtt_ms', 'gauge', 'Round-trip time of the last successful check, in milliseconds.', gauges.rtt);
+    w.family('nebula_server_players_online', 'gauge', 'Players online at the last check.', gauges.online);
+    w.family('nebula_server_players_max', 'gauge', 'Player slots reported at the last check.', gauges.max);
+    w.family('nebula_server_last_check_timestamp_seconds', 'gauge', 'Unix time of the last check.', gauges.lastCheck);
+    w.family('nebula_server_tls_expiry_timestamp_seconds', 'gauge', 'Unix time the TLS certificate expires (https checks).', gauges.tls);
+    w.family('nebula_server_health_up', 'gauge', 'Whether the endpoints.statusUrl health check passed (1) or not (0).', gauges.health);
+    w.family('nebula_server_probe_up', 'gauge', 'Whether each probe reporting to the aggregator reaches the server (1) or not (0).', gauges.probe);
+    w.family('nebula_server_checks_total', 'counter', 'Checks run since the poller started.', counters.total);
+    w.family('nebula_server_check_failures_total', 'counter', 'Checks that found the server offline.', counters.failures);
+    w.family('nebula_server_check_errors_total', 'counter', 'Checks that could not run (bad target or checker error).', counters.errors);
+    w.family('nebula_server_check_duration_seconds', 'histogram', 'Time spent per check, retries included.', durations);
+
+    w.family('nebula_poller_servers', 'gauge', 'Servers in the config.', [['', {}, servers.length]]);
+    if (startedAt) {
+      w.family('nebula_poller_start_time_seconds', 'gauge', 'Unix time the poller started.', [['', {}, Date.parse(startedAt) / 1000]]);
+    }
+
+    if (lastRun) {
+      w.family('nebula_poller_run_duration_seconds', 'gauge', 'Duration of the last full run.', [['', {}, lastRun.durationMs / 1000]]);
+      w.family('nebula_poller_run_saturation', 'gauge', 'Busy worker time / (concurrency * run time) for the last run; 1 = every worker busy.', [['', {}, lastRun.saturation]]);
+      w.family('nebula_poller_concurrency_limit', 'gauge', 'Maximum checks run in parallel.', [['', {}, lastRun.limit]]);
+    }
+
+    if (scheduler) {
+      const { limit, active, queued, busyMs } = scheduler.stats();
+      w.family('nebula_poller_concurrency_limit', 'gauge', 'Maximum checks run in parallel.', [['', {}, limit]]);
+      w.family('nebula_poller_checks_in_flight', 'gauge', 'Checks running right now.', [['', {}, active]]);
+      w.family('nebula_poller_checks_queued', 'gauge', 'Checks waiting for a free slot.', [['', {}, queued]]);
+      w.family('nebula_poller_check_slot_seconds_total', 'counter', 'Summed time check slots were busy; rate() / limit gives saturation.', [['', {}, busyMs / 1000]]);
+    }
+
+    return w.text();
+  }
+
+  return {
+    observeCheck,
+    observeRun,
+    retain,
+    render,
+  };
+}
+
+module.exports = {
+  createMetrics,
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+const { postJson, secret } = require('./request');
+
+/**
+ * Discord webhook embed. URL lookup, first match wins:
+ *   1. discord.webhookUrlEnv (the variable it names) or discord.webhookUrl
+ *   2. $NEBULA_DISCORD_WEBHOOK_URL_<channelId>
+ *   3. $NEBULA_DISCORD_WEBHOOK_URL
+ */
+
+function resolveWebhookUrl(discord, env) {
+  const own = secret(discord, 'webhookUrl', env);
+  if (typeof own === 'string' && own) return own;
+  if (discord.channelId) {
+    const perChannel = env[`NEBULA_DISCORD_WEBHOOK_URL_${discord.channelId}`];
+    if (perChannel) return perChannel;
+  }
+  return env.NEBULA_DISCORD_WEBHOOK_URL || null;
+}
+
+function buildDiscordPayload(message, discord) {
+  const embed = {
+    title: message.title,
+    color: message.color,
+    fields: message.fields.map(f => ({ ...f, inline: true })),
+    timestamp: message.at,
+    footer: { text: 'Nebula Servers' },
+  };
+  if (message.body) embed.description = message.body;
+
+  const roleId = discord.mentionRoleId ? String(discord.mentionRoleId) : null;
+  return {
+    content: roleId ? `<@&${roleId}>` : undefined,
+    embeds: [embed],
+    // Only ping the configured role, never @everyone from a server name
+    allowed_mentions: { parse: [], roles: roleId ? [roleId] : [] },
+  };
+}
+
+async function sendDiscord(discord, message, { env, fetchImpl }) {
+  const url = resolveWebhookUrl(discord, env);
+  if (!url) throw new Error('no webhook URL configured');
+  await postJson(url, buildDiscordPayload(message, discord), { fetchImpl });
+}
+
+module.exports = {
+  buildDiscordPayload,
+  sendDiscord,
+};
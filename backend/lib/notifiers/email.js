@@ -0,0 +1,214 @@
+'use strict';
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const { secret } = require('./request');
+const { plainText } = require('./message');
+
+/**
+ * Email over plain SMTP, without dependencies:
+ * - port 465 (or secure: true): TLS from the first byte
+ * - otherwise STARTTLS when the server offers it (starttls: false skips it)
+ * - AUTH PLAIN when a username is set (password or passwordEnv)
+ *
+ * Protocol notes:
+ * - Replies are "250-more" lines ending with a "250 last" line
+ * - DATA answers 354, then the message ends with "\r\n.\r\n"; the body
+ *   is base64, so no line can start with a dot
+ */
+
+const SMTP_TIMEOUT_MS = 10000;
+
+// SNI only takes host names
+const serverName = (host) => (net.isIP(host) ? undefined : host);
+
+// Resolves once connected (and the TLS handshake is done), or rejects
+// after SMTP_TIMEOUT_MS: a host that drops packets never answers at all
+function connect(host, port, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: serverName(host) })
+      : net.connect({ host, port });
+    const onTimeout = () => socket.destroy(new Error(`could not connect within ${SMTP_TIMEOUT_MS} ms`));
+    socket.setTimeout(SMTP_TIMEOUT_MS);
+    socket.once('timeout', onTimeout);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.off('timeout', onTimeout);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: serverName(host) }, () => {
+      secured.off('timeout', onTimeout);
+      resolve(secured);
+    });
+    const onTimeout = () => secured.destroy(new Error(`no TLS handshake within ${SMTP_TIMEOUT_MS} ms`));
+    secured.setTimeout(SMTP_TIMEOUT_MS);
+    secured.once('timeout', onTimeout);
+    secured.once('error', reject);
+  });
+}
+
+// Reads replies off one socket (swapped for the TLS one after STARTTLS)
+function createSession() {
+  let socket = null;
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  let waiting = null;
+  let failure = null; // why the socket is gone; fails every later read()
+
+  function settle(fn) {
+    if (!waiting) return;
+    const w = waiting;
+    waiting = null;
+    fn(w);
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let i;
+    while ((i = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, i).replace(/\r$/, '');
+      buffer = buffer.slice(i + 1);
+      lines.push(line);
+      if (line[3] === '-') continue; // more lines follow
+
+      const reply = { code: Number(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) };
+      lines = [];
+      if (waiting) settle(w => w.resolve(reply));
+      else replies.push(reply);
+    }
+  }
+
+  function fail(err) {
+    failure ||= err;
+    settle(w => w.reject(failure));
+  }
+
+  const onError = (err) => fail(err);
+  const onClose = () => fail(new Error('connection closed'));
+  const onTimeout = () => socket.destroy(new Error(`no answer within ${SMTP_TIMEOUT_MS} ms`));
+
+  return {
+    attach(next) {
+      if (socket) {
+        socket.off('data', onData).off('error', onError).off('close', onClose).off('timeout', onTimeout);
+      }
+      socket = next;
+      failure = null;
+      socket.setTimeout(SMTP_TIMEOUT_MS);
+      socket.on('data', onData).on('error', onError).on('close', onClose).on('timeout', onTimeout);
+    },
+
+    read() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+      });
+    },
+
+    // Sends a line and wants a reply starting with `digit` (2 ok, 3 go on).
+    // `label` replaces the line in errors, so credentials never get logged.
+    async command(line, digit, label = line.split(' ')[0]) {
+      socket.write(`${line}\r\n`);
+      const reply = await this.read();
+      if (Math.floor(reply.code / 100) !== digit) {
+        throw new Error(`${label} refused: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    },
+  };
+}
+
+// RFC 2047 encoded-word: any text (emoji, newlines) is safe in a header
+function encodeHeader(text) {
+  return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function formatMail({ from, to, subject, text }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+function checkAddress(address) {
+  if (typeof address !== 'string' || !/^[^\s<>@]+@[^\s<>@]+$/.test(address)) {
+    throw new Error(`bad email address ${JSON.stringify(address)}`);
+  }
+  return address;
+}
+
+async function sendMail(email, mail, env) {
+  if (!email.host) throw new Error('no host configured');
+  const from = checkAddress(mail.from);
+  const to = mail.to.map(checkAddress);
+  if (!to.length) throw new Error('no recipients configured');
+
+  const secure = email.secure ?? email.port === 465;
+  const port = email.port ?? (secure ? 465 : 587);
+  const session = createSession();
+  let socket = await connect(email.host, port, secure);
+  session.attach(socket);
+
+  try {
+    const greeting = await session.read();
+    if (greeting.code !== 220) throw new Error(`server refused the connection: ${greeting.code}`);
+
+    const hello = `EHLO ${os.hostname()}`;
+    let ehlo = await session.command(hello, 2);
+    const offersTls = ehlo.lines.some(l => /^STARTTLS\b/i.test(l));
+    if (!secure && email.starttls !== false && offersTls) {
+      await session.command('STARTTLS', 2);
+      socket = await upgrade(socket, email.host);
+      session.attach(socket);
+      ehlo = await session.command(hello, 2);
+    }
+
+    if (email.username) {
+      const password = secret(email, 'password', env) || '';
+      const token = Buffer.from(`\0${email.username}\0${password}`, 'utf8').toString('base64');
+      await session.command(`AUTH PLAIN ${token}`, 2, 'AUTH');
+    }
+
+    await session.command(`MAIL FROM:<${from}>`, 2);
+    for (const rcpt of to) await session.command(`RCPT TO:<${rcpt}>`, 2);
+    await session.command('DATA', 3);
+    await session.command(`${formatMail({ from, to, subject: mail.subject, text: mail.text })}.`, 2, 'message');
+    await session.command('QUIT', 2).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+async function sendEmail(email, message, { env }) {
+  const to = Array.isArray(email.to) ? email.to : [email.to].filter(Boolean);
+  await sendMail(email, {
+    from: email.from || `nebula@${os.hostname()}`,
+    to,
+    subject: message.title,
+    text: plainText(message),
+  }, env);
+}
+
+module.exports = {
+  sendEmail,
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+const { postJson, secret } = require('./request');
+const { plainText } = require('./message');
+
+// Gotify push: POST <url>/message with an application token
+async function sendGotify(gotify, message, { env, fetchImpl }) {
+  const token = secret(gotify, 'token', env);
+  if (!gotify.url) throw new Error('no url configured');
+  if (!token) throw new Error('no token configured');
+
+  await postJson(`${gotify.url.replace(/\/+$/, '')}/message`, {
+    title: message.title,
+    message: plainText(message) || message.title,
+    priority: gotify.priority ?? (message.event === 'down' ? 8 : 4),
+  }, {
+    headers: { 'X-Gotify-Key': token },
+    fetchImpl,
+  });
+}
+
+module.exports = {
+  sendGotify,
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Notifier registry
+ * Maps a key under `notifications` to the function that delivers an
+ * alert message there: send(settings, message, { env, fetchImpl }).
+ *
+ * Settings merge per channel: the server's notifications.<name> over the
+ * global notifications.<name> from the top of the config. A channel is
+ * used when the merged settings say `enabled: true`.
+ */
+
+const { sendDiscord } = require('./discord');
+const { sendSlack } = require('./slack');
+const { sendWebhook } = require('./webhook');
+const { sendNtfy } = require('./ntfy');
+const { sendGotify } = require('./gotify');
+const { sendEmail } = require('./email');
+
+const ALL_EVENTS = ['down', 'up'];
+
+const NOTIFIERS = new Map();
+
+function registerNotifier(name, send) {
+  if (typeof send !== 'function') throw new Error(`notifier "${name}" must be a function`);
+  NOTIFIERS.set(name, send);
+}
+
+function getNotifier(name) {
+  return NOTIFIERS.get(name) || null;
+}
+
+function listNotifiers() {
+  return [...NOTIFIERS.keys()];
+}
+
+registerNotifier('discord', sendDiscord);
+registerNotifier('slack', sendSlack);
+registerNotifier('webhook', sendWebhook);
+registerNotifier('ntfy', sendNtfy);
+registerNotifier('gotify', sendGotify);
+registerNotifier('email', sendEmail);
+
+/**
+ * Enabled channels for a server: [{ name, settings, notifyOn, templates }].
+ * notifyOn: channel, then server notifications.notifyOn, then the global
+ * channel, then global notifications.notifyOn, then every event.
+ */
+function channelsFor(server, defaults = {}) {
+  const own = server?.notifications || {};
+  const out = [];
+
+  for (const name of NOTIFIERS.keys()) {
+    if (!own[name] && !defaults[name]) continue;
+    const settings = { ...defaults[name], ...own[name] };
+    if (settings.enabled !== true) continue;
+
+    const notifyOn = own[name]?.notifyOn ?? own.notifyOn ?? defaults[name]?.notifyOn ?? defaults.notifyOn ?? ALL_EVENTS;
+    out.push({
+      name,
+      settings,
+      notifyOn,
+      // Most specific first, for buildMessage()
+      templates: [own[name]?.templates, own.templates, defaults[name]?.templates, defaults.templates],
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  registerNotifier,
+  getNotifier,
+  listNotifiers,
+  channelsFor,
+};
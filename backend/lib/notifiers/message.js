@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Alert message, shared by every notifier:
+ *   { event, title, body, fields: [{ name, value }], color, at, server }
+ *
+ * title and body come from templates ("{name} is down"). The first
+ * template found wins: channel, server notifications, global
+ * notifications, built-in default. Unknown {placeholders} stay as-is.
+ */
+
+const COLORS = {
+  down: 0xff5050,
+  up: 0x1fe3d2,
+};
+
+const DEFAULT_TEMPLATES = {
+  down: { title: '🔴 {name} is down', body: '{description}' },
+  up: { title: '🟢 {name} is back up', body: '{description}' },
+};
+
+function formatDuration(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ${s % 60}s`;
+  const h = Math.floor(m / 60);
+  if (h < 24) return `${h}h ${m % 60}m`;
+  return `${Math.floor(h / 24)}d ${h % 24}h`;
+}
+
+function renderTemplate(text, vars) {
+  return String(text).replace(/\{(\w+)\}/g, (whole, key) => (vars[key] !== undefined ? String(vars[key]) : whole));
+}
+
+function pickTemplate(event, sources) {
+  const out = { ...DEFAULT_TEMPLATES[event] };
+  for (const templates of [...sources].reverse()) {
+    const t = templates?.[event];
+    if (t?.title !== undefined) out.title = t.title;
+    if (t?.body !== undefined) out.body = t.body;
+  }
+  return out;
+}
+
+/**
+ * sources: template sets, most specific first
+ * (channel.templates, server.notifications.templates, global templates)
+ */
+function buildMessage(server, event, { prev, next, sources = [] }) {
+  const name = server.name || server.id;
+  const address = server.url || (server.ip && server.port ? `${server.ip}:${server.port}` : null);
+
+  let downtime = null;
+  if (event === 'up' && prev?.since) {
+    const downFor = Date.parse(next.lastCheckAt) - Date.parse(prev.since);
+    if (Number.isFinite(downFor)) downtime = formatDuration(downFor);
+  }
+
+  const fields = [];
+  if (address) fields.push({ name: 'Address', value: String(address) });
+  if (server.group) fields.push({ name: 'Group', value: String(server.group) });
+  if (downtime) fields.push({ name: 'Downtime', value: downtime });
+
+  const vars = {
+    id: server.id,
+    name,
+    event,
+    group: server.group || '',
+    address: address || '',
+    description: server.description || '',
+    downtime: downtime || '',
+    reason: next.reason || next.failure || '',
+    time: next.lastCheckAt,
+  };
+  const template = pickTemplate(event, sources);
+
+  return {
+    event,
+    title: renderTemplate(template.title, vars),
+    body: renderTemplate(template.body, vars).trim(),
+    fields,
+    color: COLORS[event],
+    at: next.lastCheckAt,
+    server,
+  };
+}
+
+// Title, body and fields as plain text (email, ntfy, Gotify)
+function plainText(message) {
+  const lines = message.body ? [message.body, ''] : [];
+  for (const f of message.fields) lines.push(`${f.name}: ${f.value}`);
+  return lines.join('\n').trim();
+}
+
+module.exports = {
+  formatDuration,
+  renderTemplate,
+  buildMessage,
+  plainText,
+};
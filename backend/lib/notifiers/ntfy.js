@@ -0,0 +1,32 @@
+'use strict';
+
+const { postJson, secret } = require('./request');
+const { plainText } = require('./message');
+
+const DEFAULT_NTFY_URL = 'https://ntfy.sh';
+
+const TAGS = {
+  down: ['red_circle'],
+  up: ['green_circle'],
+};
+
+// ntfy push, published as JSON to the server root (title may hold emoji)
+async function sendNtfy(ntfy, message, { env, fetchImpl }) {
+  if (!ntfy.topic) throw new Error('no topic configured');
+
+  const token = secret(ntfy, 'token', env);
+  await postJson((ntfy.url || DEFAULT_NTFY_URL).replace(/\/+$/, '') + '/', {
+    topic: ntfy.topic,
+    title: message.title,
+    message: plainText(message) || message.title,
+    priority: ntfy.priority ?? (message.event === 'down' ? 4 : 3),
+    tags: TAGS[message.event],
+  }, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    fetchImpl,
+  });
+}
+
+module.exports = {
+  sendNtfy,
+};
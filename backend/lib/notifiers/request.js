@@ -0,0 +1,55 @@
+'use strict';
+
+const SEND_TIMEOUT_MS = 5000;
+const MAX_SEND_ATTEMPTS = 3;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * POSTs JSON; retries on 429 (honouring retry_after / Retry-After, in
+ * seconds) and throws on any other non-2xx answer.
+ */
+async function postJson(url, payload, { headers = {}, fetchImpl = fetch } = {}) {
+  for (let attempt = 1; attempt <= MAX_SEND_ATTEMPTS; attempt++) {
+    const res = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+    });
+
+    if (res.ok) return;
+
+    if (res.status === 429 && attempt < MAX_SEND_ATTEMPTS) {
+      const body = await res.json().catch(() => ({}));
+      const retryAfter = Number(body.retry_after ?? res.headers.get('retry-after'));
+      await sleep(Number.isFinite(retryAfter) ? retryAfter * 1000 : 1000);
+      continue;
+    }
+
+    throw new Error(`${new URL(url).host} responded ${res.status}`);
+  }
+}
+
+// A secret given inline or, with the *Env variant, by environment variable
+function secret(settings, key, env) {
+  const name = settings[`${key}Env`];
+  return name ? env[name] || null : settings[key] || null;
+}
+
+// Inline headers plus { name: "VAR" } pairs read from the environment
+function headersFrom(settings, env) {
+  const out = { ...settings.headers };
+  for (const [name, variable] of Object.entries(settings.headersEnv || {})) {
+    if (env[variable] !== undefined) out[name] = env[variable];
+  }
+  return out;
+}
+
+module.exports = {
+  postJson,
+  secret,
+  headersFrom,
+};
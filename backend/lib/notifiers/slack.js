@@ -0,0 +1,29 @@
+'use strict';
+
+const { postJson, secret } = require('./request');
+
+// Slack incoming webhook: slack.webhookUrlEnv / webhookUrl, else
+// $NEBULA_SLACK_WEBHOOK_URL
+async function sendSlack(slack, message, { env, fetchImpl }) {
+  const url = secret(slack, 'webhookUrl', env) || env.NEBULA_SLACK_WEBHOOK_URL;
+  if (!url) throw new Error('no webhook URL configured');
+
+  const attachment = {
+    color: `#${message.color.toString(16).padStart(6, '0')}`,
+    title: message.title,
+    fields: message.fields.map(f => ({ title: f.name, value: f.value, short: true })),
+    footer: 'Nebula Servers',
+    ts: Math.floor(Date.parse(message.at) / 1000),
+  };
+  if (message.body) attachment.text = message.body;
+
+  await postJson(url, {
+    text: message.title, // notification preview
+    attachments: [attachment],
+    ...(slack.channel ? { channel: slack.channel } : {}),
+  }, { fetchImpl });
+}
+
+module.exports = {
+  sendSlack,
+};
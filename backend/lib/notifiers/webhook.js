@@ -0,0 +1,31 @@
+'use strict';
+
+const { postJson, headersFrom } = require('./request');
+
+/**
+ * Generic JSON webhook, for anything that is not a chat service:
+ *   { event, title, body, fields, at, server: { id, name, group, url } }
+ * Secret headers come from the environment through headersEnv.
+ */
+async function sendWebhook(webhook, message, { env, fetchImpl }) {
+  if (!webhook.url) throw new Error('no url configured');
+
+  const { server } = message;
+  await postJson(webhook.url, {
+    event: message.event,
+    title: message.title,
+    body: message.body,
+    fields: message.fields,
+    at: message.at,
+    server: {
+      id: server.id,
+      name: server.name || server.id,
+      group: server.group || null,
+      url: server.url || null,
+    },
+  }, { headers: headersFrom(webhook, env), fetchImpl });
+}
+
+module.exports = {
+  sendWebhook,
+};
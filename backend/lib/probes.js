@@ -0,0 +1,205 @@
+'use strict';
+
+/**
+ * Distributed polling: one aggregator, any number of probes
+ * - Agents (`poller.js --agent <aggregator-url>`) run the checks from
+ *   their own host and POST the results to the aggregator's
+ *   /api/probes/report
+ * - The aggregator (`--serve` with a probe token) is a probe too. On each
+ *   of its own checks it merges the latest fresh result of every probe:
+ *   the server is offline only when `quorum` probes agree (default: a
+ *   majority of the fresh ones)
+ * - Each probe has a region; entries list who sees what, per region
+ *
+ * A probe's result goes stale after STALE_INTERVALS poll intervals, so a
+ * silent agent drops out of the vote instead of freezing it.
+ *
+ * Agents are not trusted with markup: sanitizeResult() keeps only the
+ * fields checkers produce, with their types, and rebuilds motdHtml here.
+ */
+
+const { toHtml } = require('./checkers/mctext');
+const { isFavicon } = require('./checkers/minecraft');
+
+const STALE_INTERVALS = 3;
+const UNKNOWN_REGION = 'unknown';
+const MAX_TEXT = 1000; // per string field in an agent's result
+const MAX_LIST = 100; // player sample, mod list
+
+function createProbeSet({ local, quorum = null, intervalFor }) {
+  const results = new Map(); // server id -> Map(probe id -> { probe, result, at })
+  const seen = new Map(); // probe id -> { id, region, local, lastSeenAt }
+
+  function touch(probe, at) {
+    seen.set(probe.id, {
+      id: probe.id,
+      region: probe.region || UNKNOWN_REGION,
+      local: probe.id === local.id,
+      lastSeenAt: new Date(at).toISOString(),
+    });
+  }
+
+  function record(probe, serverId, result, at = Date.now()) {
+    if (!results.has(serverId)) results.set(serverId, new Map());
+    results.get(serverId).set(probe.id, { probe, result, at });
+    touch(probe, at);
+  }
+
+  // Votes needed to call a server offline, out of `total` fresh probes
+  function needed(total) {
+    const n = Number.isInteger(quorum) && quorum > 0 ? quorum : Math.floor(total / 2) + 1;
+    return Math.min(n, total);
+  }
+
+  /**
+   * The quorum view of a server as a check result, so everything
+   * downstream (status entry, alerts, incidents, history) is unchanged.
+   * `fallback` is returned as-is when no probe has a usable result.
+   */
+  function merge(server, fallback) {
+    const maxAge = STALE_INTERVALS * intervalFor(server);
+    const now = Date.now();
+    const fresh = [...(results.get(server.id)?.values() || [])]
+      .filter(r => now - r.at <= maxAge && !r.result.disabled && !r.result.skipped);
+    if (!fresh.length) return fallback;
+
+    const down = fresh.filter(r => !r.result.online).length;
+    const online = down < needed(fresh.length);
+
+    // Details (players, rtt...) come from a probe that agrees with the
+    // verdict, preferably one in the server's own region
+    const agreeing = fresh.filter(r => Boolean(r.result.online) === online);
+    const home = server.meta?.region;
+    const pick = agreeing.find(r => home && r.probe.region === home)
+      || agreeing.find(r => r.probe.id === local.id)
+      || agreeing[0];
+
+    // Region names come from the agents: no prototype for "__proto__" to hit
+    const regions = Object.create(null);
+    for (const { probe, result } of fresh) {
+      const region = probe.region || UNKNOWN_REGION;
+      regions[region] ||= { up: 0, total: 0 };
+      regions[region].total += 1;
+      if (result.online) regions[region].up += 1;
+    }
+
+    return {
+      ...pick.result,
+      online,
+      probes: fresh.map(({ probe, result, at }) => ({
+        id: probe.id,
+        region: probe.region || UNKNOWN_REGION,
+        online: Boolean(result.online),
+        rttMs: Number.isFinite(result.rttMs) ? Math.round(result.rttMs) : null,
+        failure: result.failure ?? null,
+        at: new Date(at).toISOString(),
+      })),
+      regions,
+      quorum: { down, total: fresh.length, needed: needed(fresh.length) },
+    };
+  }
+
+  function retain(ids) {
+    const keep = new Set(ids);
+    for (const id of results.keys()) {
+      if (!keep.has(id)) results.delete(id);
+    }
+  }
+
+  function list() {
+    return [...seen.values()];
+  }
+
+  return {
+    record,
+    merge,
+    retain,
+    list,
+  };
+}
+
+const isText = (v) => typeof v === 'string' && v.length <= MAX_TEXT;
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+
+// Copies `keys` of `from` that pass `check`
+function pick(from, keys, check) {
+  const out = {};
+  for (const key of keys) {
+    if (check(from?.[key])) out[key] = from[key];
+  }
+  return out;
+}
+
+/**
+ * An agent's check result reduced to what the checkers report, each
+ * field with its type: anything else never reaches the status file.
+ */
+function sanitizeResult(result) {
+  const out = {
+    online: result.online,
+    ...pick(result, ['disabled', 'skipped', 'vac', 'password'], v => typeof v === 'boolean'),
+    ...pick(result, ['rttMs'], v => Number.isFinite(v) && v >= 0),
+    ...pick(result, ['httpStatus', 'protocol', 'bots'], Number.isInteger),
+    ...pick(result, ['failure', 'version', 'map', 'game', 'edition', 'gamemode', 'modloader'], isText),
+  };
+
+  if (isCount(result.players?.online) && isCount(result.players?.max)) {
+    out.players = { online: result.players.online, max: result.players.max };
+  }
+  if (isText(result.motd)) {
+    out.motd = result.motd;
+    out.motdHtml = toHtml(result.motd);
+  }
+  if (isFavicon(result.favicon)) out.favicon = result.favicon;
+  if (Array.isArray(result.playerSample)) {
+    out.playerSample = result.playerSample.filter(isText).slice(0, MAX_LIST);
+  }
+  if (isCount(result.mods?.count) && Array.isArray(result.mods.list)) {
+    out.mods = {
+      count: result.mods.count,
+      list: result.mods.list
+        .filter(m => isText(m?.id))
+        .map(m => pick(m, ['id', 'version'], isText))
+        .slice(0, MAX_LIST),
+    };
+  }
+  if (Number.isFinite(Date.parse(result.tls?.expiresAt))) {
+    out.tls = {
+      expiresAt: new Date(result.tls.expiresAt).toISOString(),
+      ...pick(result.tls, ['daysLeft'], Number.isInteger),
+      ...pick(result.tls, ['warn'], v => typeof v === 'boolean'),
+    };
+  }
+  if (typeof result.health?.online === 'boolean') {
+    out.health = {
+      online: result.health.online,
+      ...pick(result.health, ['rttMs'], v => Number.isFinite(v) && v >= 0),
+      ...pick(result.health, ['httpStatus'], Number.isInteger),
+      ...pick(result.health, ['failure'], isText),
+    };
+  }
+  return out;
+}
+
+// Body of POST /api/probes/report; returns an error message or null
+function validateReport(body) {
+  if (!body || typeof body !== 'object') return 'body must be a JSON object';
+  const { probe, results } = body;
+  if (typeof probe?.id !== 'string' || !/^[\w.-]{1,64}$/.test(probe.id)) {
+    return 'probe.id must be 1-64 letters, digits, ".", "_" or "-"';
+  }
+  if (probe.region != null && typeof probe.region !== 'string') return 'probe.region must be a string';
+  if (!Array.isArray(results)) return 'results must be an array';
+  for (const item of results) {
+    if (typeof item?.id !== 'string' || typeof item.result?.online !== 'boolean') {
+      return 'every result needs an id and a result with a boolean "online"';
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  createProbeSet,
+  validateReport,
+  sanitizeResult,
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Per-server scheduler
+ * - Every server runs on its own timer (polling.intervalMs)
+ * - A failed check is retried polling.retries times with jittered
+ *   exponential backoff before the server is reported offline
+ * - Timers are chained with setTimeout, so a slow check never overlaps
+ *   the next one for the same server
+ */
+
+const { createLimiter } = require('./util');
+
+const DEFAULT_BACKOFF_BASE_MS = 500;
+const DEFAULT_BACKOFF_MAX_MS = 10000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Spread `ms` by +/- ratio so servers sharing an interval drift apart
+function jitter(ms, ratio = 0.1) {
+  return Math.max(0, Math.round(ms * (1 - ratio + Math.random() * ratio * 2)));
+}
+
+// "Equal jitter": half the exponential step is fixed, half is random
+function backoffDelay(attempt, { baseMs = DEFAULT_BACKOFF_BASE_MS, maxMs = DEFAULT_BACKOFF_MAX_MS } = {}) {
+  const step = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+/**
+ * Runs check() until it reports online or retries are used up.
+ * Disabled/skipped results are final and never retried.
+ */
+async function checkWithRetries(check, retries = 0, opts = {}) {
+  const wait = opts.sleep || sleep;
+  let attempts = 1;
+  let result = await check();
+
+  while (!result.online && !result.disabled && !result.skipped && attempts <= retries) {
+    await wait(backoffDelay(attempts - 1, opts));
+    attempts++;
+    result = await check();
+  }
+
+  return { ...result, attempts };
+}
+
+function createScheduler({ runCheck, onResult, intervalFor, concurrency = 10 }) {
+  const limit = createLimiter(concurrency);
+  const jobs = new Map(); // id -> { server, timer, running }
+  let stopped = false;
+
+  function arm(job, delayMs) {
+    clearTimeout(job.timer);
+    job.timer = setTimeout(() => tick(job), delayMs);
+  }
+
+  async function tick(job) {
+    if (stopped || jobs.get(job.server.id) !== job) return;
+    job.running = true;
+    try {
+      const server = job.server;
+      const result = await limit(() => runCheck(server));
+      // The job may have been replaced or removed while the check ran
+      if (jobs.get(server.id) === job) await onResult(server, result);
+    } catch (err) {
+      console.error(`[poller] ${job.server.id}: check failed:`, err);
+    } finally {
+      job.running = false;
+      if (!stopped && jobs.get(job.server.id) === job) {
+        arm(job, jitter(intervalFor(job.server)));
+      }
+    }
+  }
+
+  return {
+    // Start (or restart) polling a server; the first check runs almost immediately
+    schedule(server, { initialDelayMs } = {}) {
+      const prev = jobs.get(server.id);
+      if (prev) clearTimeout(prev.timer);
+
+      const job = { server, timer: null, running: false };
+      jobs.set(server.id, job);
+
+      const delay = initialDelayMs ?? Math.min(1000, intervalFor(server)) * Math.random();
+      arm(job, delay);
+    },
+
+    // Check a scheduled server right away (a running check already counts).
+    // Returns false for unknown ids.
+    checkNow(id) {
+      const job = jobs.get(id);
+      if (!job) return false;
+      if (!job.running) arm(job, 0);
+      return true;
+    },
+
+    unschedule(id) {
+      const job = jobs.get(id);
+      if (!job) return false;
+      clearTimeout(job.timer);
+      jobs.delete(id);
+      return true;
+    },
+
+    has(id) {
+      return jobs.has(id);
+    },
+
+    ids() {
+      return [...jobs.keys()];
+    },
+
+    // Limiter occupancy: { limit, active, queued, busyMs }
+    stats() {
+      return limit.stats();
+    },
+
+    stop() {
+      stopped = true;
+      for (const job of jobs.values()) clearTimeout(job.timer);
+      jobs.clear();
+    },
+  };
+}
+
+module.exports = {
+  jitter,
+  backoffDelay,
+  checkWithRetries,
+  createScheduler,
+};
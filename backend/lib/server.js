@@ -0,0 +1,368 @@
+'use strict';
+
+/**
+ * Built-in HTTP server (--serve)
+ * - Serves the frontend/ directory
+ * - GET /api/servers       -> every server, config merged with status
+ * - GET /api/servers/:id   -> one server
+ * - GET /api/health        -> poller liveness summary
+ * - GET /api/events        -> Server-Sent Events: one "snapshot", then a
+ *                             "status" event per finished check and a
+ *                             "config" event when the config is reloaded
+ * - GET /api/probes        -> probes reporting to this aggregator
+ * - POST /api/probes/report -> results from a polling agent (bearer token)
+ * - GET /metrics           -> Prometheus text format
+ * - GET/PUT /api/admin/config -> raw config for the admin UI (bearer token)
+ *
+ * Responses carry an ETag; a matching If-None-Match gets a 304.
+ * Secrets (notifications.*, http.* auth and headers) never leave the
+ * process, except to the admin API.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const { validateReport } = require('./probes');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+const SSE_HEARTBEAT_MS = 25000; // keeps proxies from closing idle streams
+const SSE_RETRY_MS = 5000;
+const MAX_REPORT_BYTES = 5 * 1024 * 1024; // one result per server, favicons included
+const MAX_CONFIG_BYTES = 1024 * 1024;
+
+// Config fields that may hold credentials or webhook URLs
+function publicServer(server) {
+  const { notifications, http: checkOptions, ...rest } = server;
+  return rest;
+}
+
+// What the dashboard loads as servers.config.json
+function publicConfig({ config, groups }) {
+  const servers = config.map(publicServer);
+  return groups?.length ? { groups, servers } : servers;
+}
+
+function mergeServer(server, status) {
+  const st = status || {};
+  return {
+    ...publicServer(server),
+    ...st,
+    online: st.online ?? false,
+    lastCheckAt: st.lastCheckAt ?? null,
+  };
+}
+
+function etagFor(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+function isFresh(req, etag) {
+  const header = req.headers['if-none-match'];
+  if (!header) return false;
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+function send(req, res, status, body, headers = {}) {
+  const etag = headers.ETag;
+  if (etag && status === 200 && isFresh(req, etag)) {
+    res.writeHead(304, { ETag: etag, 'Cache-Control': headers['Cache-Control'] || 'no-cache' });
+    return res.end();
+  }
+  res.writeHead(status, { 'Content-Length': Buffer.byteLength(body), ...headers });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+function sendJson(req, res, status, data) {
+  const body = JSON.stringify(data, null, 2) + '\n';
+  send(req, res, status, body, {
+    'Content-Type': CONTENT_TYPES['.json'],
+    'Cache-Control': 'no-cache',
+    ETag: etagFor(body),
+  });
+}
+
+function readJsonBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error('body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.once('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(Object.assign(new Error('body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.once('error', reject);
+  });
+}
+
+// Constant-time comparison of "Authorization: Bearer <token>"
+function hasToken(req, token) {
+  const m = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!m || !token) return false;
+  const given = Buffer.from(m[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function statusMapFor(config, status) {
+  // Same shape as servers.status.json
+  const out = {};
+  for (const s of config) {
+    if (status.has(s.id)) out[s.id] = status.get(s.id);
+  }
+  return out;
+}
+
+function serveEvents(req, res, { config, status, events }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+  });
+
+  const write = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+  write('snapshot', statusMapFor(config, status));
+
+  const onStatus = (id, entry) => write('status', { id, ...entry });
+  const onConfig = ({ groups, servers }) => write('config', publicConfig({ config: servers, groups }));
+  events.on('status', onStatus);
+  events.on('config', onConfig);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    events.off('status', onStatus);
+    events.off('config', onConfig);
+  });
+}
+
+/**
+ * onProbeReport(report) -> response data; without it (or without a
+ * probeToken) this node does not aggregate and the endpoint is a 404.
+ * configStore (lib/admin.js) and adminToken enable the admin API the
+ * same way.
+ */
+function createHttpServer({
+  rootDir,
+  getSnapshot,
+  probeToken = null,
+  onProbeReport = null,
+  adminToken = null,
+  configStore = null,
+}) {
+  const root = path.resolve(rootDir);
+
+  async function serveStatic(req, res, pathname) {
+    let rel;
+    try {
+      rel = decodeURIComponent(pathname);
+    } catch {
+      return sendJson(req, res, 400, { error: 'bad path' });
+    }
+    if (rel.endsWith('/')) rel += 'index.html';
+
+    const filePath = path.resolve(root, '.' + rel);
+    const inside = filePath === root || filePath.startsWith(root + path.sep);
+    // No traversal, and no dotfiles (the poller's temp files live here too)
+    if (!inside || path.basename(filePath).startsWith('.')) {
+      return sendJson(req, res, 404, { error: 'not found' });
+    }
+
+    // The raw config may hold webhook URLs; serve the public view instead
+    if (rel === '/servers.config.json') {
+      return sendJson(req, res, 200, publicConfig(getSnapshot()));
+    }
+
+    let stat;
+    try {
+      stat = await fsp.stat(filePath);
+    } catch {
+      return sendJson(req, res, 404, { error: 'not found' });
+    }
+    if (!stat.isFile()) return sendJson(req, res, 404, { error: 'not found' });
+
+    const etag = `"${stat.size.toString(36)}-${Math.floor(stat.mtimeMs).toString(36)}"`;
+    const headers = {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+      ETag: etag,
+    };
+
+    if (isFresh(req, etag)) {
+      res.writeHead(304, { ETag: etag, 'Cache-Control': 'no-cache' });
+      return res.end();
+    }
+
+    res.writeHead(200, { ...headers, 'Content-Length': stat.size });
+    if (req.method === 'HEAD') return res.end();
+    fs.createReadStream(filePath)
+      .on('error', () => res.destroy())
+      .pipe(res);
+  }
+
+  async function serveReport(req, res) {
+    if (!onProbeReport || !probeToken) return sendJson(req, res, 404, { error: 'not found' });
+    if (!hasToken(req, probeToken)) return sendJson(req, res, 401, { error: 'missing or wrong probe token' });
+
+    let report;
+    try {
+      report = await readJsonBody(req, MAX_REPORT_BYTES);
+    } catch (err) {
+      return sendJson(req, res, err.status || 400, { error: err.message });
+    }
+    const problem = validateReport(report);
+    if (problem) return sendJson(req, res, 400, { error: problem });
+    return sendJson(req, res, 200, onProbeReport(report));
+  }
+
+  // GET: { config, revision }. PUT { config, revision }: validated,
+  // backed up and written; { revision, warnings } or { error, errors }.
+  async function serveAdmin(req, res, pathname) {
+    if (!configStore || !adminToken || pathname !== '/api/admin/config') {
+      return sendJson(req, res, 404, { error: 'not found' });
+    }
+    if (!hasToken(req, adminToken)) return sendJson(req, res, 401, { error: 'missing or wrong admin token' });
+
+    if (req.method === 'GET') {
+      try {
+        return sendJson(req, res, 200, await configStore.read());
+      } catch (err) {
+        if (!err.status) throw err;
+        return sendJson(req, res, err.status, { error: err.message });
+      }
+    }
+
+    let body;
+    try {
+      body = await readJsonBody(req, MAX_CONFIG_BYTES);
+    } catch (err) {
+      return sendJson(req, res, err.status || 400, { error: err.message });
+    }
+    if (!body || typeof body !== 'object' || body.config === undefined) {
+      return sendJson(req, res, 400, { error: 'expected { config, revision }' });
+    }
+
+    try {
+      const saved = await configStore.write(body.config, body.revision ?? null);
+      console.log('[server] admin: servers.config.json saved');
+      return sendJson(req, res, 200, saved);
+    } catch (err) {
+      if (!err.status) throw err;
+      return sendJson(req, res, err.status, { error: err.message, errors: err.errors, warnings: err.warnings });
+    }
+  }
+
+  function serveApi(req, res, pathname) {
+    const snapshot = getSnapshot();
+    const { config, status, startedAt } = snapshot;
+
+    if (pathname === '/api/events' && req.method === 'GET') {
+      return serveEvents(req, res, snapshot);
+    }
+
+    if (pathname === '/api/health') {
+      const entries = config.map(s => status.get(s.id)).filter(Boolean);
+      const lastCheckAt = entries
+        .map(e => e.lastCheckAt)
+        .filter(Boolean)
+        .sort()
+        .pop() || null;
+      return sendJson(req, res, 200, {
+        ok: true,
+        startedAt,
+        uptimeSec: Math.round((Date.now() - Date.parse(startedAt)) / 1000),
+        servers: config.length,
+        online: entries.filter(e => e.online).length,
+        lastCheckAt,
+      });
+    }
+
+    if (pathname === '/api/probes') {
+      if (!snapshot.probes) return sendJson(req, res, 404, { error: 'not an aggregator' });
+      return sendJson(req, res, 200, snapshot.probes());
+    }
+
+    if (pathname === '/api/servers') {
+      return sendJson(req, res, 200, config.map(s => mergeServer(s, status.get(s.id))));
+    }
+
+    const m = /^\/api\/servers\/([^/]+)$/.exec(pathname);
+    if (m) {
+      const id = decodeURIComponent(m[1]);
+      const server = config.find(s => s.id === id);
+      if (!server) return sendJson(req, res, 404, { error: `unknown server "${id}"` });
+      return sendJson(req, res, 200, mergeServer(server, status.get(id)));
+    }
+
+    return sendJson(req, res, 404, { error: 'not found' });
+  }
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    // Agent reports and the admin API write; everything else is read-only
+    const report = pathname === '/api/probes/report';
+    const admin = pathname.startsWith('/api/admin/');
+    let allowed = ['GET', 'HEAD'];
+    if (report) allowed = ['POST'];
+    else if (admin) allowed = ['GET', 'PUT'];
+    if (!allowed.includes(req.method)) {
+      res.setHeader('Allow', allowed.join(', '));
+      return sendJson(req, res, 405, { error: 'method not allowed' });
+    }
+
+    if (pathname === '/metrics') {
+      const { metrics } = getSnapshot();
+      return send(req, res, 200, metrics(), {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+        'Cache-Control': 'no-store',
+      });
+    }
+
+    let handler = serveStatic;
+    if (report) handler = serveReport;
+    else if (admin) handler = serveAdmin;
+    else if (pathname === '/api' || pathname.startsWith('/api/')) handler = serveApi;
+    Promise.resolve(handler(req, res, pathname)).catch((err) => {
+      console.error(`[server] ${req.method} ${pathname} failed:`, err);
+      if (!res.headersSent) sendJson(req, res, 500, { error: 'internal error' });
+      else res.destroy();
+    });
+  });
+}
+
+module.exports = {
+  publicServer,
+  mergeServer,
+  createHttpServer,
+};
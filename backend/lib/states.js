@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Status states beyond online/offline, with a reason:
+ * - flapping: the server changed between online and offline at least
+ *   `flapping.changes` times within `flapping.windowMs`
+ * - degraded: online, but slow (rtt >= degraded.latencyMs on the last
+ *   few checks) or partly failing (retries needed, statusUrl health
+ *   check failing, some probes cannot reach it)
+ *
+ * `online` keeps the raw verdict of the check; `state` refines it. Flip
+ * times are kept on the status entry (`changes`) so a restart does not
+ * forget that a server was flapping.
+ */
+
+const DEFAULT_FLAP_CHANGES = 4;
+const DEFAULT_FLAP_WINDOW_MS = 10 * 60 * 1000;
+const DEFAULT_LATENCY_MS = 1000;
+const LATENCY_SAMPLES = 3; // consecutive slow checks before calling it degraded
+
+function flapSettings(server) {
+  const changes = Number(server?.flapping?.changes);
+  const windowMs = Number(server?.flapping?.windowMs);
+  return {
+    changes: Number.isInteger(changes) && changes >= 2 ? changes : DEFAULT_FLAP_CHANGES,
+    windowMs: Number.isFinite(windowMs) && windowMs > 0 ? windowMs : DEFAULT_FLAP_WINDOW_MS,
+  };
+}
+
+function latencyLimit(server) {
+  const v = server?.degraded?.latencyMs;
+  if (v === null) return null; // opted out
+  return Number.isFinite(v) && v > 0 ? v : DEFAULT_LATENCY_MS;
+}
+
+function fmtWindow(ms) {
+  const m = Math.round(ms / 60000);
+  return m >= 1 ? `${m} min` : `${Math.round(ms / 1000)}s`;
+}
+
+// First reason an online server counts as degraded, or null
+function degradedReason(server, entry, result) {
+  const limit = latencyLimit(server);
+  const recent = (entry.latency || []).slice(-LATENCY_SAMPLES);
+  if (limit && recent.length === LATENCY_SAMPLES && recent.every(ms => ms !== null && ms >= limit)) {
+    return `slow: ${recent[recent.length - 1]} ms (limit ${limit} ms) on the last ${LATENCY_SAMPLES} checks`;
+  }
+
+  const probes = entry.probes || [];
+  const unreachable = probes.filter(p => !p.online);
+  if (unreachable.length) {
+    const regions = [...new Set(unreachable.map(p => p.region))];
+    return `unreachable from ${regions.join(', ')} (${unreachable.length}/${probes.length} probes)`;
+  }
+
+  if (entry.health && !entry.health.online) {
+    return `health check failing${entry.health.failure ? `: ${entry.health.failure}` : ''}`;
+  }
+
+  if (result.attempts > 1) return `answered after ${result.attempts} attempts`;
+  return null;
+}
+
+/**
+ * Sets entry.state ("online", "offline", "degraded" or "flapping"),
+ * entry.reason and entry.changes. Disabled, skipped and maintenance
+ * checks do not count as flips.
+ */
+function applyState(entry, server, prev, result = {}, now = Date.now()) {
+  const { changes: threshold, windowMs } = flapSettings(server);
+  const planned = server.maintenance === true || Boolean(entry.maintenanceWindow);
+  const real = !result.disabled && !result.skipped && !planned;
+
+  const changes = (Array.isArray(prev?.changes) ? prev.changes : [])
+    .filter(at => now - Date.parse(at) <= windowMs);
+  if (real && prev && typeof prev.online === 'boolean' && prev.online !== entry.online) {
+    changes.push(entry.lastCheckAt);
+  }
+
+  delete entry.reason;
+  if (changes.length) entry.changes = changes;
+  else delete entry.changes;
+
+  // Once flapping, it takes half as many flips to stay flapping, so the
+  // state does not toggle at the threshold
+  const wasFlapping = prev?.state === 'flapping';
+  const needed = wasFlapping ? Math.ceil(threshold / 2) : threshold;
+  if (real && changes.length >= needed) {
+    entry.state = 'flapping';
+    entry.reason = `changed state ${changes.length} times in ${fmtWindow(windowMs)}`;
+    return entry;
+  }
+
+  if (!entry.online) {
+    entry.state = 'offline';
+    if (entry.failure) entry.reason = entry.failure;
+    return entry;
+  }
+
+  const reason = real ? degradedReason(server, entry, result) : null;
+  entry.state = reason ? 'degraded' : 'online';
+  if (reason) entry.reason = reason;
+  return entry;
+}
+
+module.exports = {
+  applyState,
+};
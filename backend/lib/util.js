@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Nebula Servers - shared backend helpers
+ * Small, dependency-free utilities used by the poller and its checkers.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+// The poller skips a server whose `enabled` is false, "false" or 0
+function isEnabled(server) {
+  const v = server?.enabled;
+
+  // default: enabled if missing
+  if (v === undefined || v === null) return true;
+
+  // accept common "false" representations
+  if (v === false) return false;
+  if (typeof v === 'string' && v.toLowerCase() === 'false') return false;
+  if (typeof v === 'number' && v === 0) return false;
+
+  return true;
+}
+
+function withTimeout(promise, ms, label = 'timeout') {
+  let t;
+  const timeout = new Promise((_, reject) => {
+    t = setTimeout(() => reject(new Error(label)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
+}
+
+async function readJsonIfExists(filePath, fallbackValue) {
+  try {
+    const buf = await fsp.readFile(filePath);
+    return JSON.parse(buf.toString('utf8'));
+  } catch (err) {
+    if (err && (err.code === 'ENOENT' || err.code === 'ENOTDIR')) return fallbackValue;
+    // If JSON parse fails, surface it (better than silently nuking status)
+    throw err;
+  }
+}
+
+async function atomicWriteFile(filePath, text) {
+  const dir = path.dirname(filePath);
+  const tmpName = `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`;
+  const tmpPath = path.join(dir, tmpName);
+
+  await fsp.writeFile(tmpPath, text, 'utf8');
+  await fsp.rename(tmpPath, filePath);
+}
+
+async function atomicWriteJson(filePath, data) {
+  await atomicWriteFile(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+// Simple promise pool for concurrency
+// `stats`, when given, is filled with { limit, wallMs, busyMs, saturation }:
+// saturation is busy worker time / (limit * wall time), 1 = every slot busy
+async function mapWithConcurrency(items, limit, mapper, stats = null) {
+  const results = new Array(items.length);
+  const started = Date.now();
+  let busyMs = 0;
+  let i = 0;
+
+  const workers = new Array(Math.min(limit, items.length)).fill(0).map(async () => {
+    while (true) {
+      const idx = i++;
+      if (idx >= items.length) return;
+      const t0 = Date.now();
+      try {
+        results[idx] = await mapper(items[idx], idx);
+      } catch (err) {
+        results[idx] = { __error: err };
+      } finally {
+        busyMs += Date.now() - t0;
+      }
+    }
+  });
+
+  await Promise.all(workers);
+
+  if (stats) {
+    const wallMs = Date.now() - started;
+    Object.assign(stats, {
+      limit,
+      wallMs,
+      busyMs,
+      saturation: wallMs > 0 ? Math.min(1, busyMs / (limit * wallMs)) : 0,
+    });
+  }
+  return results;
+}
+
+// Caps how many async tasks run at once; extra calls wait in FIFO order
+function createLimiter(limit) {
+  let active = 0;
+  let busyMs = 0; // summed slot time, for saturation = rate(busy) / limit
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const started = Date.now();
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        busyMs += Date.now() - started;
+        next();
+      });
+  };
+
+  const run = (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  run.stats = () => ({ limit, active, queued: queue.length, busyMs });
+  return run;
+}
+
+// Serializes an async write: calls never overlap, and a burst of calls
+// while a write is in flight collapses into one trailing write.
+function createCoalescedWriter(writeFn) {
+  let inflight = null;
+  let pending = false;
+
+  return function flush() {
+    if (inflight) {
+      pending = true;
+      return inflight;
+    }
+    inflight = (async () => {
+      do {
+        pending = false;
+        await writeFn();
+      } while (pending);
+    })().finally(() => {
+      inflight = null;
+    });
+    return inflight;
+  };
+}
+
+// Calls onChange (debounced) whenever filePath is written, replaced or
+// recreated. Watches the directory, since many editors save by renaming
+// a temp file over the original. Returns a function that stops watching.
+function watchFile(filePath, onChange, { debounceMs = 250 } = {}) {
+  const base = path.basename(filePath);
+  let timer = null;
+
+  const watcher = fs.watch(path.dirname(filePath), (eventType, filename) => {
+    // filename can be null on some platforms; treat that as "maybe"
+    if (filename && filename !== base) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  });
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
+
+module.exports = {
+  nowIso,
+  isEnabled,
+  withTimeout,
+  readJsonIfExists,
+  atomicWriteFile,
+  atomicWriteJson,
+  mapWithConcurrency,
+  createLimiter,
+  createCoalescedWriter,
+  watchFile,
+};
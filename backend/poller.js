@@ -6,15 +6,43 @@
  * - Reads ../frontend/servers.config.json
  * - Checks each service/game server
  * - Writes ../frontend/servers.status.json
+ * - Appends check history + uptime rollups to ./data
+ * - Opens/resolves incidents in ../frontend/incidents.json
+ * - Or, with --agent <url>, only checks and reports to an aggregator
+ * - Or, with --test-notify <id>, sends a sample alert for one server
  *
  * Minimal deps: none
  */
 
-const fs = require('fs');
-const fsp = require('fs/promises');
-const path = require('path');
-const net = require('net');
 const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const {
+  nowIso,
+  withTimeout,
+  readJsonIfExists,
+  atomicWriteFile,
+  atomicWriteJson,
+  mapWithConcurrency,
+  createCoalescedWriter,
+  watchFile,
+  isEnabled,
+} = require('./lib/util');
+const { getChecker } = require('./lib/checkers');
+const { checkHttp } = require('./lib/checkers/http');
+const { validateConfig, splitConfig, printIssues } = require('./lib/config');
+const { checkWithRetries, createScheduler } = require('./lib/scheduler');
+const { createAlerter } = require('./lib/alerts');
+const { createHistory } = require('./lib/history');
+const { windowsFor, maintenanceState } = require('./lib/maintenance');
+const { createIncidents } = require('./lib/incidents');
+const { createMetrics } = require('./lib/metrics');
+const { createProbeSet, sanitizeResult } = require('./lib/probes');
+const { applyState } = require('./lib/states');
+const { applyDependencies, rootCause, dependentsOf, dependencyOrder, upstreamIds } = require('./lib/dependencies');
+const { createHttpServer } = require('./lib/server');
+const { createConfigStore } = require('./lib/admin');
 
 // ---------------------------
 // Paths
@@ -22,30 +50,30 @@ const os = require('os');
 const FRONTEND_DIR = path.resolve(__dirname, '..', 'frontend');
 const CONFIG_PATH = path.join(FRONTEND_DIR, 'servers.config.json');
 const STATUS_PATH = path.join(FRONTEND_DIR, 'servers.status.json');
+const INCIDENTS_PATH = path.join(FRONTEND_DIR, 'incidents.json'); // public timeline
+const DATA_DIR = path.resolve(__dirname, 'data'); // history + rollups (not served)
 
 // ---------------------------
 // Tunables
 // ---------------------------
 const DEFAULT_TIMEOUT_MS = 3500;
+const DEFAULT_INTERVAL_MS = 60000; // 1 minute, when polling.intervalMs is missing
+const MIN_INTERVAL_MS = 1000;
 const CONCURRENCY = 10; // keep it polite; increase later if needed
+const DEFAULT_PORT = 8080; // --serve
+const REPORT_TIMEOUT_MS = 5000; // --agent -> aggregator
+const LATENCY_WINDOW = 30; // recent rtt samples kept per server (sparklines)
+
+// Optional game details a checker may report, copied into the status file as-is
+const STATUS_DETAIL_FIELDS = [
+  'map', 'game', 'bots', 'vac', 'password', // source
+  'motd', 'motdHtml', 'edition', 'gamemode', // minecraft-bedrock
+  'protocol', 'favicon', 'playerSample', 'modloader', 'mods', // minecraft
+];
 
 // ---------------------------
 // Utilities
 // ---------------------------
-function isEnabled(server) {
-  const v = server?.enabled;
-
-  // default: enabled if missing
-  if (v === undefined || v === null) return true;
-
-  // accept common "false" representations
-  if (v === false) return false;
-  if (typeof v === "string" && v.toLowerCase() === "false") return false;
-  if (typeof v === "number" && v === 0) return false;
-
-  return true;
-}
-
 function shouldSkipPoll(server) {
   // 0.0.0.0 means “bind all interfaces”, not a real reachable target.
   // In your config it also indicates “placeholder / offline display”.
@@ -60,43 +88,14 @@ function shouldSkipPoll(server) {
   return !(hasUrl || hasHostPort);
 }
 
-function nowIso() {
-  return new Date().toISOString();
-}
-
-function withTimeout(promise, ms, label = 'timeout') {
-  let t;
-  const timeout = new Promise((_, reject) => {
-    t = setTimeout(() => reject(new Error(label)), ms);
-  });
-  return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
-}
-
-async function readJsonIfExists(filePath, fallbackValue) {
-  try {
-    const buf = await fsp.readFile(filePath);
-    return JSON.parse(buf.toString('utf8'));
-  } catch (err) {
-    if (err && (err.code === 'ENOENT' || err.code === 'ENOTDIR')) return fallbackValue;
-    // If JSON parse fails, surface it (better than silently nuking status)
-    throw err;
-  }
-}
-
-async function atomicWriteJson(filePath, data) {
-  const dir = path.dirname(filePath);
-  const tmpName = `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`;
-  const tmpPath = path.join(dir, tmpName);
-
-  const json = JSON.stringify(data, null, 2) + '\n';
-  await fsp.writeFile(tmpPath, json, 'utf8');
-  await fsp.rename(tmpPath, filePath);
-}
-
 function normalizeStatusArray(maybe) {
-  // Frontend merges by id. We’ll store an array of status objects:
-  // [{ id, online, players?, version?, lastCheckAt }]
+  // Frontend merges by id. The status file is a map keyed by id
+  // ({ [id]: { online, players?, version?, lastCheckAt } }); early
+  // versions wrote an array of { id, ... }. Accept both.
   if (Array.isArray(maybe)) return maybe;
+  if (maybe && typeof maybe === 'object') {
+    return Object.entries(maybe).map(([id, item]) => ({ ...item, id }));
+  }
   return [];
 }
 
@@ -115,379 +114,885 @@ function pickHostPort(server) {
   return { host, port };
 }
 
+function hasValidId(server) {
+  // id is required for merge
+  return typeof server?.id === 'string' && !!server.id.trim();
+}
 
-// Simple promise pool for concurrency
-async function mapWithConcurrency(items, limit, mapper) {
-  const results = new Array(items.length);
-  let i = 0;
-
-  const workers = new Array(Math.min(limit, items.length)).fill(0).map(async () => {
-    while (true) {
-      const idx = i++;
-      if (idx >= items.length) return;
-      try {
-        results[idx] = await mapper(items[idx], idx);
-      } catch (err) {
-        results[idx] = { __error: err };
-      }
-    }
-  });
+function pollIntervalMs(server) {
+  const v = Number(server?.polling?.intervalMs);
+  if (!Number.isFinite(v) || v <= 0) return DEFAULT_INTERVAL_MS;
+  return Math.max(MIN_INTERVAL_MS, v);
+}
 
-  await Promise.all(workers);
-  return results;
+function pollRetries(server) {
+  const v = Number(server?.polling?.retries);
+  return Number.isInteger(v) && v > 0 ? v : 0;
 }
 
 // ---------------------------
-// Checkers
+// Checker routing
 // ---------------------------
+function chooseChecker(server) {
+  // An explicit polling.method always wins ("auto" means "pick for me")
+  const method = server?.polling?.method;
+  if (typeof method === 'string' && method.trim() && method !== 'auto') {
+    return method.trim();
+  }
 
-async function checkTcp({ host, port, timeoutMs }) {
-  const start = Date.now();
-  const online = await withTimeout(
-    new Promise((resolve) => {
-      const socket = new net.Socket();
-
-      const done = (ok) => {
-        socket.destroy();
-        resolve(ok);
-      };
+  // Prefer URL-based checks if provided
+  if (typeof server.url === 'string' && server.url.startsWith('http')) return 'http';
 
-      socket.once('connect', () => done(true));
-      socket.once('error', () => done(false));
-      socket.once('timeout', () => done(false));
+  // Otherwise, if we have host+port (or port with localhost default), do TCP
+  const { host, port } = pickHostPort(server);
+  if (host && Number.isFinite(port) && port > 0) return 'tcp';
 
-      socket.setTimeout(timeoutMs);
-      socket.connect(port, host);
-    }),
-    timeoutMs + 250,
-    'tcp-check-timeout'
-  );
+  // No valid target
+  return 'none';
+}
 
-  return {
-    online,
-    rttMs: Date.now() - start,
-  };
+function pollTimeoutMs(server) {
+  const raw = server.polling?.timeoutMs ?? server.timeoutMs;
+  return Number(raw) > 0 ? Number(raw) : DEFAULT_TIMEOUT_MS;
 }
 
-async function checkHttp({ url, timeoutMs }) {
-  const start = Date.now();
-  try {
-    const res = await withTimeout(
-      fetch(url, {
-        method: 'GET',
-        redirect: 'follow',
-      }),
-      timeoutMs,
-      'http-timeout'
-    );
+async function runCheck(server) {
+  const polling = server.polling || {};
+  const timeoutMs = pollTimeoutMs(server);
 
-    // Consider 2xx/3xx as online
-    const online = res.status >= 200 && res.status < 400;
+  if (!isEnabled(server)) {
+    return {
+      online: false,
+      disabled: true
+    };
+  }
 
+  if (shouldSkipPoll(server)) {
     return {
-      online,
-      rttMs: Date.now() - start,
-      // version: could be parsed later from headers/body if you want
+      online: false,
+      skipped: true
     };
-  } catch {
-    return { online: false, rttMs: Date.now() - start };
   }
-}
 
-/**
- * Minecraft "Server List Ping" (Java Edition) without deps.
- * Returns:
- * - online boolean
- * - players { online, max } (optional)
- * - version string (optional)
- *
- * Protocol notes:
- * - Handshake (packet 0x00) then Status Request (0x00)
- * - Read Status Response (0x00) which contains JSON string
- */
-function writeVarInt(value) {
-  const bytes = [];
-  let v = value >>> 0;
-  while (true) {
-    if ((v & 0xffffff80) === 0) {
-      bytes.push(v);
-      return Buffer.from(bytes);
+  const method = chooseChecker(server);
+  if (method === 'none') return { online: false };
+
+  // Unknown methods are rejected by validateConfig() before we get here
+  const checker = getChecker(method);
+  if (!checker) return { online: false };
+
+  if (checker.needs === 'url') {
+    if (typeof server.url !== 'string' || !server.url.startsWith('http')) {
+      return { online: false, error: `polling.method "${method}" requires an http(s) url` };
     }
-    bytes.push((v & 0x7f) | 0x80);
-    v >>>= 7;
+    return runChecker(checker, { url: server.url, timeoutMs, server });
+  }
+
+  // Game servers often answer queries on a separate port (Steam query port)
+  const { host, port: gamePort } = pickHostPort(server);
+  const port = Number(polling.queryPort) > 0 ? Number(polling.queryPort) : gamePort;
+  if (!host || !Number.isFinite(port) || port <= 0) {
+    return { online: false, error: `polling.method "${method}" requires ip/host and port` };
   }
+  return runChecker(checker, { host, port, timeoutMs, server });
 }
 
-function readVarInt(buf, offset = 0) {
-  let numRead = 0;
-  let result = 0;
-  let byte = 0;
+// endpoints.statusUrl: a second HTTP check reported as `health`; it never
+// decides online/offline itself
+async function runHealthCheck(server) {
+  const url = server.endpoints?.statusUrl;
+  if (!url || !isEnabled(server) || shouldSkipPoll(server)) return undefined;
+
+  // Same credentials as the main check, its own expectations
+  const { headers, headersEnv, auth, statusExpect } = server.http || {};
+  const health = await checkHttp({
+    url,
+    timeoutMs: pollTimeoutMs(server),
+    server,
+    options: { headers, headersEnv, auth, expect: statusExpect },
+  });
+  const { online, rttMs, httpStatus, failure } = health;
+  return { online, rttMs, httpStatus, failure };
+}
 
-  do {
-    if (offset + numRead >= buf.length) return null;
-    byte = buf[offset + numRead];
-    result |= (byte & 0x7f) << (7 * numRead);
-    numRead++;
-    if (numRead > 5) return null;
-  } while ((byte & 0x80) !== 0);
+async function runChecker(checker, target) {
+  // A checker that blows past its own timeout still just means "offline"
+  try {
+    return await checker.run(target);
+  } catch {
+    return { online: false };
+  }
+}
 
-  return { value: result, size: numRead };
+// ---------------------------
+// Main
+// ---------------------------
+async function checkServer(server, metrics) {
+  const started = Date.now();
+  const [result, health] = await Promise.all([
+    checkWithRetries(() => runCheck(server), pollRetries(server)),
+    runHealthCheck(server),
+  ]);
+  if (health) result.health = health;
+  if (result.error) console.warn(`[poller] ${server.id}: ${result.error}`);
+  if (metrics && !result.disabled && !result.skipped) metrics.observeCheck(server, result, Date.now() - started);
+  return result;
 }
 
-function writeString(str) {
-  const strBuf = Buffer.from(str, 'utf8');
-  return Buffer.concat([writeVarInt(strBuf.length), strBuf]);
+// --metrics-file: Prometheus text for node_exporter's textfile collector
+function metricsFilePath() {
+  const file = argValue('--metrics-file', process.env.NEBULA_METRICS_FILE || '');
+  return file ? path.resolve(file) : null;
 }
 
-function buildMcHandshakePacket({ host, port, protocolVersion = 758 /* 1.18.2+-ish */ }) {
-  // protocolVersion can be whatever; most servers accept unknown-ish values for status ping
-  const packetId = writeVarInt(0x00);
-  const pv = writeVarInt(protocolVersion);
-  const hostStr = writeString(host);
-  const portBuf = Buffer.alloc(2);
-  portBuf.writeUInt16BE(port, 0);
-  const nextState = writeVarInt(0x01); // status
+function toStatusEntry(result, checkedAt, prev) {
+  // only write status fields (don’t duplicate config)
+  const online = Boolean(result.online);
+  const entry = { online, lastCheckAt: checkedAt };
+
+  // since = when the current online/offline state began
+  entry.since = prev && prev.online === online && prev.since ? prev.since : checkedAt;
+
+  if (result.players !== undefined) entry.players = result.players;
+  if (result.version !== undefined) entry.version = result.version;
+  for (const field of STATUS_DETAIL_FIELDS) {
+    if (result[field] !== undefined) entry[field] = result[field];
+  }
+
+  // HTTP checks: why it counts as offline, the certificate, statusUrl
+  if (!online && result.failure) entry.failure = result.failure;
+  if (result.httpStatus !== undefined) entry.httpStatus = result.httpStatus;
+  if (result.tls) entry.tls = result.tls;
+  if (result.health) entry.health = result.health;
+
+  // Aggregator: who sees the server, per probe and per region
+  if (result.probes) {
+    entry.probes = result.probes;
+    entry.regions = result.regions;
+  }
+
+  // Latency: current ping (online only) plus a short rolling window.
+  // Failed checks leave a null gap so the sparkline shows the outage.
+  const rttMs = online && Number.isFinite(result.rttMs) ? Math.round(result.rttMs) : null;
+  if (rttMs !== null) entry.rttMs = rttMs;
+
+  const samples = Array.isArray(prev?.latency) ? prev.latency : [];
+  entry.latency = result.disabled || result.skipped
+    ? samples
+    : [...samples, rttMs].slice(-LATENCY_WINDOW);
 
-  const data = Buffer.concat([packetId, pv, hostStr, portBuf, nextState]);
-  return Buffer.concat([writeVarInt(data.length), data]);
+  return entry;
 }
 
-function buildMcStatusRequestPacket() {
-  const packetId = writeVarInt(0x00);
-  const data = packetId;
-  return Buffer.concat([writeVarInt(data.length), data]);
+// Active/upcoming maintenance windows, so the dashboard can count down
+// without knowing about cron. Alerts stay quiet while one is active.
+function applyMaintenance(entry, server, sharedWindows, now = Date.now()) {
+  const { active, upcoming } = maintenanceState(windowsFor(server, sharedWindows), now);
+  delete entry.maintenanceWindow;
+  delete entry.maintenanceUpcoming;
+  if (active) entry.maintenanceWindow = active;
+  if (upcoming.length) entry.maintenanceUpcoming = upcoming;
+  return entry;
 }
 
-async function checkMinecraft({ host, port, timeoutMs }) {
-  const start = Date.now();
+// States worth a log line of their own (online/offline flips always get one)
+function isUnsettled(state) {
+  return state === 'degraded' || state === 'flapping' || state === 'unreachable';
+}
 
-  return withTimeout(
-    new Promise((resolve) => {
-      const socket = new net.Socket();
-      const chunks = [];
+function inMaintenance(server, entry) {
+  return server.maintenance === true || Boolean(entry.maintenanceWindow);
+}
 
-      const finish = (result) => {
-        socket.destroy();
-        resolve({
-          ...result,
-          rttMs: Date.now() - start,
-        });
-      };
+function serverName(servers, id) {
+  const server = servers.find(s => s.id === id);
+  return server?.name || id;
+}
 
-      socket.once('error', () => finish({ online: false }));
-      socket.setTimeout(timeoutMs, () => finish({ online: false }));
+// Status lookup for dependencies: disabled servers never count as down
+function dependencyStatus(servers, get) {
+  return (id) => {
+    const server = servers.find(s => s.id === id);
+    return server && isEnabled(server) ? get(id) || null : null;
+  };
+}
 
-      socket.connect(port, host, () => {
-        try {
-          socket.write(buildMcHandshakePacket({ host, port }));
-          socket.write(buildMcStatusRequestPacket());
-        } catch {
-          finish({ online: false });
-        }
-      });
-
-      socket.on('data', (d) => chunks.push(d));
-      socket.on('close', () => {
-        // Try parse whatever we got
-        try {
-          const buf = Buffer.concat(chunks);
-          // packet length varint
-          const lenInfo = readVarInt(buf, 0);
-          if (!lenInfo) return finish({ online: false });
-
-          let offset = lenInfo.size;
-          const packetIdInfo = readVarInt(buf, offset);
-          if (!packetIdInfo) return finish({ online: false });
-
-          offset += packetIdInfo.size;
-          const packetId = packetIdInfo.value;
-          if (packetId !== 0x00) return finish({ online: false });
-
-          const jsonLenInfo = readVarInt(buf, offset);
-          if (!jsonLenInfo) return finish({ online: false });
-
-          offset += jsonLenInfo.size;
-          const jsonLen = jsonLenInfo.value;
-          const jsonStr = buf.slice(offset, offset + jsonLen).toString('utf8');
-
-          const parsed = JSON.parse(jsonStr);
-
-          const playersOnline = parsed?.players?.online;
-          const playersMax = parsed?.players?.max;
-          const versionName = parsed?.version?.name;
-
-          const out = { online: true };
-          if (Number.isFinite(playersOnline) && Number.isFinite(playersMax)) {
-            out.players = { online: playersOnline, max: playersMax };
-          }
-          if (typeof versionName === 'string') {
-            out.version = versionName;
-          }
-
-          return finish(out);
-        } catch {
-          return finish({ online: false });
-        }
-      });
-    }),
-    timeoutMs + 250,
-    'minecraft-timeout'
-  );
+function recordHistory(history, server, result, entry) {
+  // Only real checks count towards uptime; planned downtime does not
+  if (!result.disabled && !result.skipped && !inMaintenance(server, entry)) {
+    history.record(server.id, {
+      at: entry.lastCheckAt,
+      online: entry.online,
+      rttMs: result.rttMs,
+      players: result.players,
+    });
+  }
+  entry.uptime = history.uptime(server.id);
+
+  const playerStats = history.players(server.id);
+  if (playerStats) entry.playerStats = playerStats;
+}
+
+async function openIncidents(servers) {
+  const incidents = createIncidents({ filePath: INCIDENTS_PATH });
+  await incidents.load();
+  await incidents.retain(servers.map(s => s.id));
+  return incidents;
+}
+
+function trackIncident(incidents, server, entry, result) {
+  return incidents.update(server, entry, result).catch((err) => {
+    console.error(`[incidents] ${server.id}: update failed:`, err);
+  });
 }
 
 // ---------------------------
-// Checker routing
+// Distributed polling
 // ---------------------------
-function chooseChecker(server) {
-  // Prefer URL-based checks if provided
-  if (typeof server.url === 'string' && server.url.startsWith('http')) return 'http';
 
-  // Otherwise, if we have host+port (or port with localhost default), do TCP
-  const { host, port } = pickHostPort(server);
-  if (host && Number.isFinite(port) && port > 0) return 'tcp';
+// This process as a probe: --probe / --region, else hostname and no region
+function localProbe() {
+  return {
+    id: argValue('--probe', process.env.NEBULA_PROBE_ID || os.hostname()),
+    region: argValue('--region', process.env.NEBULA_REGION || null),
+  };
+}
 
-  // No valid target
-  return 'none';
+// Shared secret between agents and the aggregator (env only: argv is public)
+function probeToken() {
+  return process.env.NEBULA_PROBE_TOKEN || null;
 }
 
-async function runCheck(server) {
-  const timeoutMs =
-    Number(server.timeoutMs) > 0 ? Number(server.timeoutMs) : DEFAULT_TIMEOUT_MS;
+function probeQuorum() {
+  const n = Number(argValue('--quorum', process.env.NEBULA_QUORUM || ''));
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
 
-  if (!isEnabled(server)) {
-    return {
-      online: false,
-      disabled: true
-    };
-  }
+async function openHistory(servers) {
+  const history = createHistory({ dir: DATA_DIR });
+  await history.load();
+  history.retain(servers.map(s => s.id));
+  return history;
+}
 
-  if (shouldSkipPoll(server)) {
-    return {
-      online: false,
-      skipped: true
-    };
+// Reads and validates the config; never throws for bad input.
+// Returns { config, groups, maintenanceWindows, errors, warnings } where
+// config is the server list, or null on errors.
+async function readConfig(configPath = CONFIG_PATH) {
+  let raw;
+  try {
+    raw = await readJsonIfExists(configPath, null);
+  } catch (err) {
+    return { config: null, errors: [`servers.config.json is not valid JSON: ${err.message}`], warnings: [] };
+  }
+  if (!raw) {
+    return { config: null, errors: [`Missing config file: ${configPath}`], warnings: [] };
   }
 
-  const checker = chooseChecker(server);
+  const { errors, warnings } = validateConfig(raw);
+  if (errors.length) return { config: null, errors, warnings };
 
-  if (checker === "http") {
-    return checkHttp({ url: server.url, timeoutMs });
-  }
+  const { groups, servers, maintenanceWindows, notifications } = splitConfig(raw);
+  return { config: servers, groups, maintenanceWindows, notifications, errors, warnings };
+}
+
+async function loadConfig(configPath) {
+  const loaded = await readConfig(configPath);
+  printIssues(loaded);
 
-  if (checker === "tcp") {
-    const { host, port } = pickHostPort(server);
-    return checkTcp({ host, port, timeoutMs });
+  if (!loaded.config) {
+    console.error('[poller] Refusing to start with an invalid config (fix the errors above).');
+    process.exitCode = 2;
+    return null;
   }
 
-  return { online: false };
+  return loaded;
 }
 
-// ---------------------------
-// Main
-// ---------------------------
-async function runOnce() {
-  await main();
-}
+async function runCheckConfig() {
+  const { config, errors, warnings } = await readConfig();
+  printIssues({ errors, warnings });
 
-async function runWatch() {
-  // Run immediately, then repeat
-  await runOnce();
-  setInterval(runOnce, DEFAULT_INTERVAL_MS);
+  if (!config) {
+    console.error(`[config] ${CONFIG_PATH}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`[config] ${CONFIG_PATH}: OK, ${config.length} servers, ${warnings.length} warning(s)`);
 }
 
-const DEFAULT_INTERVAL_MS = 60000; // 1 minute
+function fmtAge(ms) {
+  const m = Math.round(ms / 60000);
+  if (m < 60) return `${m}m`;
+  const h = Math.floor(m / 60);
+  return h < 24 ? `${h}h ${m % 60}m` : `${Math.floor(h / 24)}d ${h % 24}h`;
+}
 
-// ---------------------------
-// Entry point
-// ---------------------------
+async function runListIncidents() {
+  const list = await createIncidents({ filePath: INCIDENTS_PATH }).list();
+  if (!list.length) {
+    console.log('[incidents] none recorded');
+    return;
+  }
+  for (const i of list.slice(-20).reverse()) {
+    const span = i.status === 'open'
+      ? `open for ${fmtAge(Date.now() - Date.parse(i.startedAt))}`
+      : `resolved after ${fmtAge(i.durationMs)}`;
+    console.log(`#${i.id}  ${i.startedAt}  ${i.title} [${i.servers.join(', ')}]  ${span}`);
+  }
+}
 
-const args = new Set(process.argv.slice(2));
-const watch = args.has("--watch") || args.has("-w");
+async function runIncidentNote(ref, text) {
+  if (!ref || !text) {
+    console.error('Usage: node poller.js --incident-note <incident # | server id> "note text"');
+    process.exitCode = 1;
+    return;
+  }
+  try {
+    const incident = await createIncidents({ filePath: INCIDENTS_PATH }).addNote(ref, text);
+    console.log(`[incidents] #${incident.id}: note added`);
+  } catch (err) {
+    console.error(`[incidents] ${err.message}`);
+    process.exitCode = 1;
+  }
+}
 
-(watch ? runWatch() : runOnce()).catch((err) => {
-  console.error("[poller] Fatal error:", err);
-  process.exitCode = 1;
-});
+/**
+ * Sends a sample alert for one server to each of its enabled channels,
+ * whatever their notifyOn says, and reports how every channel did.
+ */
+async function runTestNotify(id, event = 'down') {
+  if (!id || !['down', 'up'].includes(event)) {
+    console.error('Usage: node poller.js --test-notify <server id> [down|up]');
+    process.exitCode = 1;
+    return;
+  }
+  const loaded = await loadConfig();
+  if (!loaded) return;
 
-async function main() {
-  const config = await readJsonIfExists(CONFIG_PATH, null);
-  if (!config) {
-    console.error(`[poller] Missing config file: ${CONFIG_PATH}`);
-    process.exitCode = 2;
+  const server = loaded.config.find(s => s.id === id);
+  if (!server) {
+    console.error(`[alerts] No server with id "${id}"`);
+    process.exitCode = 1;
     return;
   }
 
-  if (!Array.isArray(config)) {
-    console.error('[poller] servers.config.json must be an array of server objects.');
-    process.exitCode = 2;
+  // Pretend it went down (or came back) after ten minutes
+  const now = new Date();
+  const before = new Date(now.getTime() - 10 * 60 * 1000).toISOString();
+  const down = event === 'down';
+  const prev = { online: down, since: before, lastCheckAt: before };
+  const next = { online: !down, since: now.toISOString(), lastCheckAt: now.toISOString() };
+  if (down) next.failure = 'test alert from --test-notify';
+
+  const alerter = createAlerter({ defaults: loaded.notifications });
+  const results = await alerter.test(server, event, { prev, next });
+  if (!results.length) {
+    console.error(`[alerts] ${id}: no notification channel is enabled`);
+    process.exitCode = 1;
     return;
   }
+  for (const { name, error } of results) {
+    if (error) console.error(`[alerts] ${id}: ${name} ${event} failed: ${error}`);
+    else console.log(`[alerts] ${id}: ${event} -> ${name}`);
+  }
+  if (results.some(r => r.error)) process.exitCode = 1;
+}
 
+function logDisabled(config) {
   const disabled = config.filter(s => !isEnabled(s)).map(s => s.id);
+  console.log(`[poller] Disabled in config: ${disabled.length ? disabled.join(", ") : "none"}`);
+  return disabled.length;
+}
 
-  const existingStatusRaw = await readJsonIfExists(STATUS_PATH, []);
-  const existingStatus = normalizeStatusArray(existingStatusRaw);
-  const statusIndex = makeStatusIndex(existingStatus);
-
+async function runOnce() {
+  const loaded = await loadConfig();
+  if (!loaded) return;
+  const { config, maintenanceWindows, notifications } = loaded;
+
+  const previous = makeStatusIndex(normalizeStatusArray(await readJsonIfExists(STATUS_PATH, {})));
+  const alerter = createAlerter({ defaults: notifications });
+  const history = await openHistory(config.filter(hasValidId));
+  const incidents = await openIncidents(config.filter(hasValidId));
+  const metrics = createMetrics();
+  const run = {};
   const checkedAt = nowIso();
 
   const results = await mapWithConcurrency(config, CONCURRENCY, async (server) => {
-    const id = server.id;
-    const base = statusIndex.get(id) || { id };
+    if (!hasValidId(server)) return null; // skip invalid
 
-    // Guard: id is required for merge
-    if (typeof id !== 'string' || !id.trim()) {
-      return null; // skip invalid
-    }
+    const result = await checkServer(server, metrics);
+    const prev = previous.get(server.id);
+    const entry = applyMaintenance(toStatusEntry(result, checkedAt, prev), server, maintenanceWindows);
+    applyState(entry, server, prev, result);
+    recordHistory(history, server, result, entry);
+    return { server, result, prev, entry };
+  }, run);
+
+  const nextStatus = {};
+  const checked = new Map();
+  for (const item of results) {
+    if (!item) continue;
+    nextStatus[item.server.id] = item.entry;
+    checked.set(item.server.id, item);
+  }
 
-    const result = await runCheck(server);
+  // Upstreams first, so a chain of dependencies resolves to its root
+  const statusOf = dependencyStatus(config, (id) => nextStatus[id]);
+  for (const server of dependencyOrder([...checked.values()].map(c => c.server))) {
+    const { result, prev, entry } = checked.get(server.id);
+    applyDependencies(entry, server, statusOf, (id) => serverName(config, id));
+    alerter.handle(server, prev, entry, result);
+    await trackIncident(incidents, server, entry, result);
+  }
 
-    // Only keep allowed/expected fields: online, players (optional), version (optional), lastCheckAt
-    const next = {
-      ...base,
-      id,
-      online: Boolean(result.online),
-      lastCheckAt: checkedAt,
-    };
+  // Optional: keep statuses for servers removed from config?
+  // For v0.1, we’ll only output what’s in config (clean & predictable).
+  await atomicWriteJson(STATUS_PATH, nextStatus);
+  await history.flush();
+  await alerter.flush();
+  await incidents.flush();
+
+  const metricsFile = metricsFilePath();
+  if (metricsFile) {
+    metrics.observeRun({ durationMs: run.wallMs, saturation: run.saturation, limit: CONCURRENCY });
+    await atomicWriteFile(metricsFile, metrics.render({ servers: config.filter(hasValidId), status: nextStatus }));
+  }
+
+  const total = config.length;
+  const disabledCount = logDisabled(config);
+  const writtenCount = Object.keys(nextStatus).length;
+
+  console.log(
+    `[poller] Checked ${total - disabledCount}/${total} enabled servers @ ${checkedAt} (wrote ${writtenCount})`
+  );
+}
+
+// What changed between two config generations, by id
+function diffServers(before, after) {
+  const prevById = new Map(before.map(s => [s.id, s]));
+  const nextIds = new Set(after.map(s => s.id));
+
+  const added = after.filter(s => !prevById.has(s.id));
+  const removed = before.filter(s => !nextIds.has(s.id)).map(s => s.id);
+  const changed = after.filter(s =>
+    prevById.has(s.id) && JSON.stringify(prevById.get(s.id)) !== JSON.stringify(s)
+  );
+  const reordered = !added.length && !removed.length
+    && before.some((s, i) => s.id !== after[i].id);
 
-    if (result.players !== undefined) next.players = result.players;
-    else delete next.players;
+  return { added, removed, changed, reordered };
+}
 
-    if (result.version !== undefined) next.version = result.version;
-    else delete next.version;
+async function runWatch({ aggregate = false } = {}) {
+  const loaded = await loadConfig();
+  if (!loaded) return null;
+  const { config } = loaded;
+
+  let servers = config.filter(hasValidId);
+  let sharedWindows = loaded.maintenanceWindows;
+  let groups = loaded.groups;
+  const startedAt = nowIso();
+  const previous = makeStatusIndex(normalizeStatusArray(await readJsonIfExists(STATUS_PATH, {})));
+
+  // Seed with the last known state so the file never loses entries
+  // while the first round of checks is still in flight.
+  const history = await openHistory(servers);
+  const status = new Map();
+  for (const server of servers) {
+    const prev = previous.get(server.id);
+    if (!prev) continue;
+    const { id, ...entry } = prev;
+    entry.uptime = history.uptime(server.id);
+    status.set(server.id, entry);
+  }
 
-    return next;
+  const alerter = createAlerter({ defaults: loaded.notifications });
+  const incidents = await openIncidents(servers);
+  const metrics = createMetrics();
+  const metricsFile = metricsFilePath();
+  let scheduler = null;
+  const renderMetrics = () => metrics.render({ servers, status, scheduler, startedAt });
+
+  const probe = localProbe();
+  const probes = aggregate
+    ? createProbeSet({ local: probe, quorum: probeQuorum(), intervalFor: pollIntervalMs })
+    : null;
+
+  // "status" (id, entry) after every check, "config" ({ groups, servers })
+  // after a reload; both feed the SSE stream
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  const writeStatus = createCoalescedWriter(async () => {
+    const out = {};
+    for (const server of servers) {
+      if (status.has(server.id)) out[server.id] = status.get(server.id);
+    }
+    await atomicWriteJson(STATUS_PATH, out);
+    await history.flush();
+    if (metricsFile) await atomicWriteFile(metricsFile, renderMetrics());
   });
 
-  const nextStatus = {};
-    for (const item of results) {
-    if (!item || !item.id) continue;
+  // Dependents that went down while their upstreams looked fine, until
+  // those are rechecked: id -> { prev, result, waitingOn: Set of ids }
+  const awaiting = new Map();
+
+  // An upstream changed or was rechecked: mark what sits behind it
+  // unreachable, recheck it once the upstream is back, and release
+  // alerts that were waiting on it
+  function settleDependents(upstream) {
+    const statusOf = dependencyStatus(servers, (id) => status.get(id));
+    for (const dep of dependentsOf(upstream.id, servers)) {
+      const entry = status.get(dep.id);
+      if (entry && !entry.online) {
+        const root = rootCause(dep, statusOf);
+        if (!root && entry.upstream) {
+          scheduler.checkNow(dep.id);
+        } else if (root && root !== entry.upstream) {
+          applyDependencies(entry, dep, statusOf, (id) => serverName(servers, id));
+          console.log(`[poller] ${dep.id}: unreachable (${entry.reason})`);
+          events.emit('status', dep.id, entry);
+        }
+      }
 
-    // only write status fields (don’t duplicate config)
-    const { id, online, lastCheckAt, players, version } = item;
-    nextStatus[id] = { online, lastCheckAt };
+      const held = awaiting.get(dep.id);
+      if (!held) continue;
+      held.waitingOn.delete(upstream.id);
+      if (held.waitingOn.size || !entry) continue;
+      awaiting.delete(dep.id);
+      alerter.handle(dep, held.prev, entry, held.result);
+    }
+  }
 
-    if (players !== undefined) nextStatus[id].players = players;
-    if (version !== undefined) nextStatus[id].version = version;
+  scheduler = createScheduler({
+    runCheck: (server) => checkServer(server, metrics),
+    intervalFor: pollIntervalMs,
+    concurrency: CONCURRENCY,
+    onResult: async (server, checked) => {
+      // Aggregator: publish the quorum of every probe's latest result
+      if (probes) probes.record(probe, server.id, checked);
+      const result = probes ? probes.merge(server, checked) : checked;
+
+      const prev = status.get(server.id);
+      const next = applyMaintenance(toStatusEntry(result, nowIso(), prev), server, sharedWindows);
+      applyState(next, server, prev, result);
+      recordHistory(history, server, result, next);
+      const statusOf = dependencyStatus(servers, (id) => status.get(id));
+      applyDependencies(next, server, statusOf, (id) => serverName(servers, id));
+
+      if (prev && prev.online !== next.online) {
+        const retried = result.attempts > 1 ? ` after ${result.attempts} attempts` : '';
+        const notes = [next.failure, result.quorum && `${result.quorum.down}/${result.quorum.total} probes down`];
+        const why = notes.some(Boolean) ? ` (${notes.filter(Boolean).join('; ')})` : '';
+        console.log(
+          `[poller] ${server.id}: ${prev.online ? 'online' : 'offline'} -> ${next.online ? 'online' : 'offline'}${retried}${why}`
+        );
+      }
+      // Entering degraded/flapping/unreachable, or leaving it without an online/offline flip
+      const settledQuietly = prev?.online === next.online && isUnsettled(prev.state);
+      if (prev && prev.state !== next.state && (isUnsettled(next.state) || settledQuietly)) {
+        console.log(`[poller] ${server.id}: ${next.state}${next.reason ? ` (${next.reason})` : ''}`);
+      }
+      if (Boolean(prev?.maintenanceWindow) !== Boolean(next.maintenanceWindow)) {
+        const w = next.maintenanceWindow;
+        console.log(`[poller] ${server.id}: maintenance ${w ? `started${w.reason ? ` (${w.reason})` : ''}` : 'ended'}`);
+      }
+
+      status.set(server.id, next);
+      events.emit('status', server.id, next);
+
+      // Down while everything upstream still looks fine: recheck the
+      // upstreams before alerting, in case one of them is the real cause
+      const held = awaiting.get(server.id);
+      awaiting.delete(server.id);
+      const alertPrev = held ? held.prev : prev;
+      const confirm = prev?.online && !next.online && !next.upstream
+        ? upstreamIds(server).filter(id => statusOf(id)?.online && scheduler.checkNow(id))
+        : [];
+      if (confirm.length) awaiting.set(server.id, { prev: alertPrev, result, waitingOn: new Set(confirm) });
+      else alerter.handle(server, alertPrev, next, result);
+      trackIncident(incidents, server, next, result);
+
+      if (prev?.online !== next.online || awaiting.size) settleDependents(server);
+      await writeStatus();
+    },
+  });
+
+  for (const server of servers) scheduler.schedule(server);
+
+  // Hot reload: apply config edits right away. An invalid edit (or a
+  // half-saved file) is reported and the last good config keeps running.
+  async function reloadConfig() {
+    const { config: next, groups: nextGroups, maintenanceWindows, notifications, errors, warnings } = await readConfig();
+    printIssues({ errors, warnings });
+    if (!next) {
+      console.error('[poller] Config reload rejected; still running the last good config.');
+      return;
+    }
+    alerter.setDefaults(notifications);
+
+    const nextServers = next.filter(hasValidId);
+    const { added, removed, changed, reordered } = diffServers(servers, nextServers);
+    const windowsChanged = JSON.stringify(maintenanceWindows) !== JSON.stringify(sharedWindows);
+    const groupsChanged = JSON.stringify(nextGroups) !== JSON.stringify(groups);
+    if (!added.length && !removed.length && !changed.length && !reordered && !windowsChanged && !groupsChanged) {
+      return;
     }
 
-    // Optional: keep statuses for servers removed from config?
-    // For v0.1, we’ll only output what’s in config (clean & predictable).
-    await atomicWriteJson(STATUS_PATH, nextStatus);
+    servers = nextServers;
+    groups = nextGroups;
+    sharedWindows = maintenanceWindows;
 
-    const total = config.length;
-    const disabledCount = config.filter(s => !isEnabled(s)).length;
-    const writtenCount = Object.keys(nextStatus).length;
+    // Shared windows may have moved for servers whose own config did not
+    if (windowsChanged) {
+      for (const server of servers) {
+        if (status.has(server.id)) applyMaintenance(status.get(server.id), server, sharedWindows);
+      }
+    }
 
+    for (const id of removed) {
+      scheduler.unschedule(id);
+      status.delete(id);
+      awaiting.delete(id);
+    }
+    for (const server of added) scheduler.schedule(server);
+    for (const server of changed) scheduler.schedule(server, { initialDelayMs: 0 });
+    history.retain(servers.map(s => s.id));
+    await incidents.retain(servers.map(s => s.id));
+    metrics.retain(servers.map(s => s.id));
+    probes?.retain(servers.map(s => s.id));
+
+    const ids = (list) => (list.length ? ` (${list.join(', ')})` : '');
     console.log(
-    `[poller] Disabled in config: ${disabledCount ? config.filter(s => !isEnabled(s)).map(s => s.id).join(", ") : "none"}`
-    );
-    console.log(
-    `[poller] Checked ${total - disabledCount}/${total} enabled servers @ ${checkedAt} (wrote ${writtenCount})`
+      `[poller] Config reloaded: ${added.length} added${ids(added.map(s => s.id))}, ` +
+      `${removed.length} removed${ids(removed)}, ${changed.length} changed${ids(changed.map(s => s.id))}` +
+      (windowsChanged ? ', maintenance windows updated' : '') +
+      (groupsChanged ? ', groups updated' : '')
     );
+
+    events.emit('config', { groups, servers });
+    await writeStatus();
+  }
+
+  let reloading = Promise.resolve();
+  watchFile(CONFIG_PATH, () => {
+    reloading = reloading
+      .then(reloadConfig)
+      .catch((err) => console.error('[poller] Config reload failed:', err));
+  });
+
+  // Remote results only update the vote; each server's next local check
+  // publishes the merged view, so status changes keep the local cadence.
+  // Agents get no say over markup: their results are sanitized first.
+  function onProbeReport(report) {
+    if (report.probe.id === probe.id) {
+      console.warn(`[poller] Ignoring a report from probe "${report.probe.id}": that is this node's own id`);
+      return { accepted: 0, ignored: report.results.length };
+    }
+    const known = new Set(servers.map(s => s.id));
+    let accepted = 0;
+    for (const { id, result } of report.results) {
+      if (!known.has(id)) continue;
+      probes.record(report.probe, id, sanitizeResult(result));
+      accepted++;
+    }
+    return { accepted, ignored: report.results.length - accepted };
+  }
+
+  logDisabled(config);
+  if (probes) {
+    const { id, region } = probe;
+    console.log(`[poller] Aggregating probe results as probe "${id}"${region ? ` (${region})` : ''}, quorum ${probeQuorum() ?? 'majority'}`);
+  }
+  console.log(`[poller] Watching ${servers.length} servers:`);
+  for (const server of servers) {
+    console.log(`[poller]   ${server.id}: every ${pollIntervalMs(server)}ms, ${pollRetries(server)} retries`);
+  }
+
+  return {
+    // Live view for the HTTP server; callers must not mutate it
+    getSnapshot: () => ({
+      config: servers,
+      groups,
+      status,
+      startedAt,
+      events,
+      metrics: renderMetrics,
+      probes: probes && probes.list,
+    }),
+    onProbeReport: probes && onProbeReport,
+  };
+}
+
+// Checks like --watch but writes nothing: every result goes to the
+// aggregator, which decides what the dashboard shows
+async function runAgent(aggregatorUrl) {
+  const token = probeToken();
+  if (!token) {
+    console.error('[agent] NEBULA_PROBE_TOKEN must be set (the same value as on the aggregator)');
+    process.exitCode = 2;
+    return null;
+  }
+
+  let endpoint;
+  try {
+    endpoint = new URL('/api/probes/report', aggregatorUrl);
+  } catch {
+    console.error(`[agent] --agent needs the aggregator's base URL, e.g. http://10.0.0.5:8080 (got "${aggregatorUrl}")`);
+    process.exitCode = 2;
+    return null;
+  }
+
+  // Agents on other hosts may keep their copy elsewhere (--config)
+  const configPath = path.resolve(argValue('--config', CONFIG_PATH));
+  const loaded = await loadConfig(configPath);
+  if (!loaded) return null;
+  let servers = loaded.config.filter(hasValidId);
+
+  const probe = localProbe();
+  const pending = new Map(); // server id -> newest unsent result
+  let reachable = true;
+
+  const report = createCoalescedWriter(async () => {
+    if (!pending.size) return;
+    const results = [...pending].map(([id, result]) => ({ id, result }));
+    pending.clear();
+
+    try {
+      const res = await withTimeout(
+        fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ probe, results }),
+        }),
+        REPORT_TIMEOUT_MS,
+        'report-timeout'
+      );
+      if (!res.ok) throw new Error(`HTTP ${res.status}: ${(await res.json().catch(() => ({}))).error || res.statusText}`);
+      if (!reachable) console.log(`[agent] Reporting to ${endpoint.origin} again`);
+      reachable = true;
+    } catch (err) {
+      // Keep what was not sent, unless a newer result came in meanwhile
+      for (const { id, result } of results) {
+        if (!pending.has(id)) pending.set(id, result);
+      }
+      if (reachable) console.warn(`[agent] Cannot report to ${endpoint.origin}: ${err.message}`);
+      reachable = false;
+    }
+  });
+
+  const scheduler = createScheduler({
+    runCheck: checkServer,
+    intervalFor: pollIntervalMs,
+    concurrency: CONCURRENCY,
+    onResult: (server, result) => {
+      pending.set(server.id, result);
+      report().catch((err) => console.error('[agent] Report failed:', err));
+    },
+  });
+  for (const server of servers) scheduler.schedule(server);
+
+  let reloading = Promise.resolve();
+  watchFile(configPath, () => {
+    reloading = reloading
+      .then(async () => {
+        const { config: next, errors, warnings } = await readConfig(configPath);
+        printIssues({ errors, warnings });
+        if (!next) {
+          console.error('[agent] Config reload rejected; still running the last good config.');
+          return;
+        }
+
+        const nextServers = next.filter(hasValidId);
+        const { added, removed, changed } = diffServers(servers, nextServers);
+        servers = nextServers;
+        for (const id of removed) {
+          scheduler.unschedule(id);
+          pending.delete(id);
+        }
+        for (const server of added) scheduler.schedule(server);
+        for (const server of changed) scheduler.schedule(server, { initialDelayMs: 0 });
+        if (added.length || removed.length || changed.length) {
+          console.log(`[agent] Config reloaded: ${added.length} added, ${removed.length} removed, ${changed.length} changed`);
+        }
+      })
+      .catch((err) => console.error('[agent] Config reload failed:', err));
+  });
+
+  const where = probe.region ? ` in ${probe.region}` : '';
+  console.log(`[agent] Probe "${probe.id}"${where}: checking ${servers.length} servers for ${endpoint.origin}`);
+  return { scheduler };
+}
+
+// Unlocks the admin UI (env only, like the probe token)
+function adminToken() {
+  return process.env.NEBULA_ADMIN_TOKEN || null;
+}
+
+async function runServe() {
+  // With a probe token this node also aggregates agents' results
+  const token = probeToken();
+  const state = await runWatch({ aggregate: Boolean(token) });
+  if (!state) return;
+
+  const port = Number(argValue('--port', process.env.NEBULA_PORT || DEFAULT_PORT));
+  const host = argValue('--host', process.env.NEBULA_HOST || '0.0.0.0');
+
+  const admin = adminToken();
+  const server = createHttpServer({
+    rootDir: FRONTEND_DIR,
+    getSnapshot: state.getSnapshot,
+    probeToken: token,
+    onProbeReport: state.onProbeReport,
+    adminToken: admin,
+    configStore: admin
+      ? createConfigStore({ filePath: CONFIG_PATH, backupDir: path.join(DATA_DIR, 'config-backups') })
+      : null,
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  console.log(`[server] Serving ${FRONTEND_DIR} on http://${host}:${port} (API at /api)`);
+  if (admin) console.log('[server] Admin UI at /admin.html');
+}
+
+// ---------------------------
+// Entry point
+// ---------------------------
+
+const argv = process.argv.slice(2);
+const args = new Set(argv);
+
+// Supports both "--port 8080" and "--port=8080"
+function argValue(name, fallback) {
+  const inline = argv.find(a => a.startsWith(`${name}=`));
+  if (inline) return inline.slice(name.length + 1);
+  const i = argv.indexOf(name);
+  return i >= 0 && argv[i + 1] !== undefined ? argv[i + 1] : fallback;
 }
 
-main().catch((err) => {
-  console.error('[poller] Fatal error:', err);
+const serve = args.has("--serve");
+const watch = args.has("--watch") || args.has("-w");
+const checkConfig = args.has("--check-config");
+const listIncidents = args.has("--incidents");
+const noteIndex = argv.indexOf("--incident-note");
+const testNotifyIndex = argv.indexOf("--test-notify");
+const agentUrl = argValue("--agent", process.env.NEBULA_AGGREGATOR_URL || null);
+
+function run() {
+  if (checkConfig) return runCheckConfig();
+  if (listIncidents) return runListIncidents();
+  if (noteIndex >= 0) return runIncidentNote(argv[noteIndex + 1], argv.slice(noteIndex + 2).join(" "));
+  if (testNotifyIndex >= 0) return runTestNotify(argv[testNotifyIndex + 1], argv[testNotifyIndex + 2]);
+  if (agentUrl) return runAgent(agentUrl);
+  if (serve) return runServe();
+  if (watch) return runWatch();
+  return runOnce();
+}
+
+run().catch((err) => {
+  console.error("[poller] Fatal error:", err);
   process.exitCode = 1;
 });
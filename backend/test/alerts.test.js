@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * Alerts against a local HTTP stand-in for Discord:
+ * embed payload and role mention, dedupe, cooldown, rate limiting
+ * (our own and Discord's 429 + retry_after)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { createAlerter } = require('../lib/alerts');
+
+// Records every webhook call; `replies` queues status codes to answer with,
+// `delayMs` holds each answer back like a slow service
+async function startDiscordSink({ delayMs = 0 } = {}) {
+  const requests = [];
+  const replies = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ at: Date.now(), path: req.url, headers: req.headers, payload: JSON.parse(body) });
+      const status = replies.shift() || 204;
+      setTimeout(() => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(status === 429 ? JSON.stringify({ retry_after: 0.1 }) : '');
+      }, delayMs);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/webhook`;
+  return { url, requests, replies, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+function gameServer(id, webhookUrl) {
+  return {
+    id,
+    name: `Server ${id}`,
+    ip: '203.0.113.7',
+    port: 25565,
+    notifications: {
+      discord: { enabled: true, webhookUrl, mentionRoleId: '1234', notifyOn: ['down', 'up'] },
+    },
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const up = () => ({ online: true, lastCheckAt: new Date().toISOString() });
+const down = () => ({ online: false, lastCheckAt: new Date().toISOString(), failure: 'timeout' });
+
+test('posts a Discord embed that mentions only the configured role', async (t) => {
+  const sink = await startDiscordSink();
+  t.after(sink.close);
+  const alerter = createAlerter({ env: {} });
+  t.after(alerter.stop);
+
+  assert.equal(alerter.handle(gameServer('mc', sink.url), up(), down()), 'down');
+  await alerter.flush();
+
+  assert.equal(sink.requests.length, 1);
+  const { path, payload } = sink.requests[0];
+  assert.equal(path, '/webhook');
+  assert.equal(payload.content, '<@&1234>');
+  assert.deepEqual(payload.allowed_mentions, { parse: [], roles: ['1234'] });
+  assert.equal(payload.embeds.length, 1);
+  assert.equal(payload.embeds[0].title, '🔴 Server mc is down');
+  assert.deepEqual(payload.embeds[0].fields[0], { name: 'Address', value: '203.0.113.7:25565', inline: true });
+});
+
+test('does not announce the same state twice', async (t) => {
+  const sink = await startDiscordSink();
+  t.after(sink.close);
+  const alerter = createAlerter({ env: {} });
+  t.after(alerter.stop);
+  const server = gameServer('mc', sink.url);
+
+  assert.equal(alerter.handle(server, up(), down()), 'down');
+  assert.equal(alerter.handle(server, up(), down()), null);
+  assert.equal(alerter.handle(server, down(), down()), null);
+  await alerter.flush();
+
+  assert.equal(sink.requests.length, 1);
+});
+
+test('holds a repeated event until the cooldown runs out', async (t) => {
+  const sink = await startDiscordSink();
+  t.after(sink.close);
+  const alerter = createAlerter({ env: {}, cooldownMs: 300 });
+  t.after(alerter.stop);
+  const server = gameServer('mc', sink.url);
+
+  alerter.handle(server, up(), down());
+  alerter.handle(server, down(), up());
+  assert.equal(alerter.handle(server, up(), down()), 'down'); // held
+  await alerter.flush();
+  assert.deepEqual(sink.requests.map(r => r.payload.embeds[0].title), ['🔴 Server mc is down', '🟢 Server mc is back up']);
+
+  await sleep(400);
+  await alerter.flush();
+  assert.equal(sink.requests.length, 3);
+  assert.equal(sink.requests[2].payload.embeds[0].title, '🔴 Server mc is down');
+});
+
+test('drops a held alert when the server flips back during the cooldown', async (t) => {
+  const sink = await startDiscordSink();
+  t.after(sink.close);
+  const alerter = createAlerter({ env: {}, cooldownMs: 300 });
+  t.after(alerter.stop);
+  const server = gameServer('mc', sink.url);
+
+  alerter.handle(server, up(), down());
+  alerter.handle(server, down(), up());
+  alerter.handle(server, up(), down()); // held
+  assert.equal(alerter.handle(server, down(), up()), null);
+
+  await sleep(400);
+  await alerter.flush();
+  assert.equal(sink.requests.length, 2);
+});
+
+test('sends at most 5 webhook calls per 2 seconds', async (t) => {
+  const sink = await startDiscordSink();
+  t.after(sink.close);
+  const alerter = createAlerter({ env: {} });
+  t.after(alerter.stop);
+
+  for (let i = 0; i < 6; i++) alerter.handle(gameServer(`s${i}`, sink.url), up(), down());
+  await alerter.flush();
+
+  assert.equal(sink.requests.length, 6);
+  const [first] = sink.requests;
+  assert.ok(sink.requests[4].at - first.at < 1000, 'the first five go out right away');
+  assert.ok(sink.requests[5].at - first.at >= 1900, 'the sixth waits for the window');
+});
+
+test('rate-limits each channel on its own', async (t) => {
+  const sink = await startDiscordSink();
+  t.after(sink.close);
+  const alerter = createAlerter({ env: {} });
+  t.after(alerter.stop);
+
+  const hookUrl = sink.url.replace('/webhook', '/generic');
+  const started = Date.now();
+  for (let i = 0; i < 6; i++) {
+    const server = gameServer(`s${i}`, sink.url);
+    server.notifications.webhook = { enabled: true, url: hookUrl };
+    alerter.handle(server, up(), down());
+  }
+  await alerter.flush();
+
+  const discord = sink.requests.filter(r => r.path === '/webhook');
+  const generic = sink.requests.filter(r => r.path === '/generic');
+  assert.equal(discord.length, 6);
+  assert.equal(generic.length, 6);
+  // Five calls on each channel go out right away; only the sixth waits
+  assert.ok(discord[4].at - started < 1000);
+  assert.ok(generic[4].at - started < 1000);
+  assert.ok(generic[5].at - started >= 1900);
+});
+
+test('a slow channel does not hold back the others', async (t) => {
+  const fast = await startDiscordSink();
+  t.after(fast.close);
+  const slow = await startDiscordSink({ delayMs: 1000 });
+  t.after(slow.close);
+  const alerter = createAlerter({ env: {} });
+  t.after(alerter.stop);
+
+  const started = Date.now();
+  for (let i = 0; i < 3; i++) {
+    const server = gameServer(`s${i}`, fast.url);
+    server.notifications.webhook = { enabled: true, url: slow.url };
+    alerter.handle(server, up(), down());
+  }
+  await alerter.flush();
+
+  assert.equal(fast.requests.length, 3);
+  assert.equal(slow.requests.length, 3);
+  assert.ok(fast.requests[2].at - started < 500, 'Discord does not wait for the webhook');
+});
+
+test('reads secrets named by *Env settings from the environment', async (t) => {
+  const sink = await startDiscordSink();
+  t.after(sink.close);
+  const env = { HOOK_URL: sink.url, HOOK_KEY: 'sekret' };
+  const alerter = createAlerter({ env });
+  t.after(alerter.stop);
+
+  const server = gameServer('mc', null);
+  server.notifications.discord = { enabled: true, webhookUrlEnv: 'HOOK_URL' };
+  server.notifications.webhook = { enabled: true, url: sink.url.replace('/webhook', '/generic'), headersEnv: { 'X-Api-Key': 'HOOK_KEY' } };
+  alerter.handle(server, up(), down());
+  await alerter.flush();
+
+  assert.deepEqual(sink.requests.map(r => r.path).sort(), ['/generic', '/webhook']);
+  assert.equal(sink.requests.find(r => r.path === '/generic').headers['x-api-key'], 'sekret');
+});
+
+test('retries after a 429 from Discord', async (t) => {
+  const sink = await startDiscordSink();
+  t.after(sink.close);
+  const alerter = createAlerter({ env: {} });
+  t.after(alerter.stop);
+
+  sink.replies.push(429);
+  alerter.handle(gameServer('mc', sink.url), up(), down());
+  await alerter.flush();
+
+  assert.equal(sink.requests.length, 2);
+  assert.ok(sink.requests[1].at - sink.requests[0].at >= 90, 'waits for retry_after');
+  assert.deepEqual(sink.requests[1].payload, sink.requests[0].payload);
+});
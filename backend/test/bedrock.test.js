@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * RakNet unconnected pong parsing from hand-built packets
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseUnconnectedPong } = require('../lib/checkers/bedrock');
+
+const MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+
+function pong(text, { length, magic = MAGIC } = {}) {
+  const body = Buffer.from(text, 'utf8');
+  const head = Buffer.alloc(35);
+  head[0] = 0x1c;
+  magic.copy(head, 17);
+  head.writeUInt16BE(length ?? body.length, 33);
+  return Buffer.concat([head, body]);
+}
+
+test('parses the advertisement fields', () => {
+  const info = parseUnconnectedPong(pong('MCPE;Nebula Bedrock;712;1.21.20;3;20;1234567890;Lobby;Survival;1;19132;19133;'));
+  assert.deepEqual(info, {
+    online: true,
+    players: { online: 3, max: 20 },
+    version: '1.21.20',
+    edition: 'MCPE',
+    gamemode: 'Survival',
+    motd: 'Nebula Bedrock\nLobby',
+    motdHtml: 'Nebula Bedrock<br/>Lobby',
+  });
+});
+
+test('converts § codes per MOTD line and escapes HTML', () => {
+  const info = parseUnconnectedPong(pong('MCPE;§aGreen §lbold;712;1.21;0;10;1;<b>§r;Creative'));
+  assert.equal(info.motd, 'Green bold\n<b>');
+  assert.equal(info.motdHtml, '<span style="color:#55FF55">Green </span><span style="color:#55FF55;font-weight:700">bold</span><br/>&lt;b&gt;');
+});
+
+test('tolerates a short advertisement', () => {
+  assert.deepEqual(parseUnconnectedPong(pong('MCPE;Hi')), { online: true, edition: 'MCPE', motd: 'Hi', motdHtml: 'Hi' });
+  assert.deepEqual(parseUnconnectedPong(pong('')), { online: true });
+});
+
+test('ignores non-numeric player counts', () => {
+  assert.equal(parseUnconnectedPong(pong('MCPE;Hi;712;1.21;many;20')).players, undefined);
+});
+
+test('rejects packets that are short, not a pong or have the wrong magic', () => {
+  assert.throws(() => parseUnconnectedPong(Buffer.alloc(34, 0x1c)), /not a pong/);
+  const wrongId = pong('MCPE');
+  wrongId[0] = 0x1d;
+  assert.throws(() => parseUnconnectedPong(wrongId), /not a pong/);
+  assert.throws(() => parseUnconnectedPong(pong('MCPE', { magic: Buffer.alloc(16) })), /bad magic/);
+});
+
+test('rejects a length that runs past the end of the packet', () => {
+  assert.throws(() => parseUnconnectedPong(pong('MCPE;Hi', { length: 8 })), /truncated/);
+  assert.throws(() => parseUnconnectedPong(pong('', { length: 0xffff })), /truncated/);
+  // Trailing bytes after the string are fine
+  assert.equal(parseUnconnectedPong(pong('MCPE;Hi;712', { length: 7 })).motd, 'Hi');
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * validateConfig against fixture configs: hard errors, soft warnings
+ * and the checks across servers (ids, groups, dependsOn)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateConfig, splitConfig } = require('../lib/config');
+
+const server = (fields = {}) => ({ id: 'mc', host: 'mc.example.com', port: 25565, ...fields });
+
+test('accepts both config shapes', () => {
+  assert.deepEqual(validateConfig([server()]), { errors: [], warnings: [] });
+  assert.deepEqual(validateConfig({
+    groups: [{ id: 'games', title: 'Games' }],
+    servers: [server({ group: 'games', polling: { method: 'minecraft', retries: 0 } })],
+    maintenanceWindows: [{ cron: '0 4 * * *', durationMinutes: 15, groups: ['games'] }],
+    notifications: { discord: { webhookUrlEnv: 'DISCORD_WEBHOOK_URL' } },
+  }), { errors: [], warnings: [] });
+});
+
+test('rejects a config that is neither an array nor an object with servers', () => {
+  for (const config of [null, 'servers', 42]) {
+    assert.equal(validateConfig(config).errors.length, 1, String(config));
+  }
+  assert.deepEqual(validateConfig({ groups: [] }).errors, ['servers is required']);
+});
+
+test('reports wrong types and values with their path', () => {
+  const { errors } = validateConfig({
+    servers: [
+      { host: 'a' },
+      server({ id: '', port: 70000, polling: { method: 'gopher', timeoutMs: -1, retries: 1.5 } }),
+      server({ id: 'web', url: 'ftp://example.com', tags: 'prod', enabled: 'no' }),
+    ],
+  });
+  assert.deepEqual(errors, [
+    'servers[0].id is required',
+    'servers[1].id must not be empty',
+    'servers[1].port must be a port number between 1 and 65535 (got 70000)',
+    'servers[1].polling.method must be one of: auto, tcp, http, minecraft, source, minecraft-bedrock (got "gopher")',
+    'servers[1].polling.timeoutMs must be a positive number',
+    'servers[1].polling.retries must be an integer',
+    'servers[2].enabled must be true or false',
+    'servers[2].url must be an http(s) URL',
+    'servers[2].tags must be an array',
+  ]);
+});
+
+test('rejects duplicate ids and bad dependsOn', () => {
+  const { errors } = validateConfig([
+    server({ id: 'proxy' }),
+    server({ id: 'db', dependsOn: ['proxy'] }),
+    server({ id: 'proxy' }),
+    server({ id: 'web', dependsOn: ['web', 'prxy'] }),
+  ]);
+  assert.deepEqual(errors, [
+    '[2].id "proxy" duplicates [0].id',
+    '[3].dependsOn[0] "web" is the server itself',
+    '[3].dependsOn[1] "prxy" is not a server id (did you mean "proxy"?)',
+  ]);
+
+  assert.deepEqual(validateConfig([
+    server({ id: 'proxy', dependsOn: ['db'] }),
+    server({ id: 'db', dependsOn: ['proxy'] }),
+  ]).errors, ['dependsOn forms a cycle: proxy -> db -> proxy']);
+});
+
+test('checks rules that span fields', () => {
+  const { errors } = validateConfig([server({
+    maintenanceWindows: [
+      { start: '2025-01-02T00:00:00Z', end: '2025-01-01T00:00:00Z' },
+      { cron: '0 4 * *', durationMinutes: 10 },
+      { cron: '0 4 * * *' },
+    ],
+    http: { auth: { type: 'basic', username: 'me' } },
+  })]);
+  assert.deepEqual(errors, [
+    '[0].maintenanceWindows[0] end must be after start',
+    '[0].maintenanceWindows[1].cron is not a valid cron expression: expected 5 fields, got 4',
+    '[0].maintenanceWindows[2] needs durationMinutes with cron',
+    '[0].http.auth needs password or passwordEnv with type "basic"',
+  ]);
+});
+
+test('warns about values that work but are probably mistakes', () => {
+  const { errors, warnings } = validateConfig({
+    groups: [{ id: 'games' }],
+    servers: [server({ port: '25565', enabled: 'false', group: 'gmaes', polling: { methd: 'tcp' }, hots: 'x' })],
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    'servers[0].enabled should be true or false (got "false")',
+    'servers[0].port should be a number, not a string (got "25565")',
+    'servers[0].polling.methd is not a known field (did you mean "method"?)',
+    'servers[0].hots is not a known field (did you mean "host"?)',
+    'servers[0].group "gmaes" is not listed in groups (did you mean "games"?)',
+  ]);
+});
+
+test('warns about secrets kept in the config file', () => {
+  const { errors, warnings } = validateConfig({
+    servers: [server({
+      http: {
+        headers: { Authorization: 'Bearer abc', Accept: 'application/json' },
+        auth: { type: 'bearer', token: 'abc' },
+      },
+    })],
+    notifications: {
+      discord: { webhookUrl: 'https://discord.com/api/webhooks/1/x' },
+      ntfy: { topic: 'alerts', token: '' },
+      email: { password: 'hunter2' },
+    },
+  });
+  assert.deepEqual(errors, []);
+  const secret = (path, env) => `${path} is a secret stored in the public config file; set ${env} and keep the value in the environment`;
+  assert.deepEqual(warnings, [
+    secret('servers[0].http.headers.Authorization', 'headersEnv'),
+    secret('servers[0].http.auth.token', 'tokenEnv'),
+    secret('notifications.discord.webhookUrl', 'webhookUrlEnv'),
+    secret('notifications.email.password', 'passwordEnv'),
+  ]);
+});
+
+test('Discord ids must be strings', () => {
+  const { errors } = validateConfig([server({ notifications: { discord: { channelId: 123456789012345680 } } })]);
+  assert.deepEqual(errors, ['[0].notifications.discord.channelId must be a string (Discord ids lose precision as numbers)']);
+});
+
+test('splitConfig fills in the sections a plain array lacks', () => {
+  assert.deepEqual(splitConfig([server()]), {
+    groups: [],
+    servers: [server()],
+    maintenanceWindows: [],
+    notifications: {},
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Cron parsing and maintenance window scheduling; dates are built in
+ * local time, like the poller reads cron expressions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCron, windowsFor, maintenanceState } = require('../lib/maintenance');
+
+const at = (...args) => new Date(...args).getTime();
+const iso = (...args) => new Date(...args).toISOString();
+const sorted = set => [...set].sort((a, b) => a - b);
+
+// 1 January 2026 is a Thursday
+const NEW_YEAR = at(2026, 0, 1, 0, 0);
+
+test('parses lists, ranges and steps', () => {
+  const cron = parseCron('*/15 0-20/10 1,15-17,20/5 * 1-5');
+  assert.deepEqual(sorted(cron.minutes), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(cron.hours), [0, 10, 20]);
+  assert.deepEqual(sorted(cron.days), [1, 15, 16, 17, 20, 25, 30]);
+  assert.equal(cron.months.size, 12);
+  assert.deepEqual(sorted(cron.weekdays), [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDay, false);
+  assert.equal(cron.anyWeekday, false);
+});
+
+test('treats day of week 7 as Sunday', () => {
+  assert.deepEqual(sorted(parseCron('0 0 * * 7').weekdays), [0, 7]);
+  assert.deepEqual(sorted(parseCron('0 0 * * 5-7').weekdays), [0, 5, 6, 7]);
+});
+
+test('rejects bad expressions with a readable message', () => {
+  const cases = {
+    '0 4 * *': /expected 5 fields, got 4/,
+    '0 4 * * * *': /expected 5 fields, got 6/,
+    '60 * * * *': /minute "60" is out of range 0-59/,
+    '0 24 * * *': /hour "24" is out of range 0-23/,
+    '0 0 0 * *': /day of month "0" is out of range 1-31/,
+    '0 0 * 1-13 *': /month "1-13" is out of range 1-12/,
+    '0 0 * * 8': /day of week "8" is out of range 0-7/,
+    '0 5-1 * * *': /bad hour range "5-1"/,
+    '*/0 * * * *': /bad minute step "\*\/0"/,
+    '0 0 * * mon': /bad day of week "mon"/,
+    '1- * * * *': /bad minute "1-"/,
+    '0 0 1,,2 * *': /bad day of month ""/,
+  };
+  for (const [expr, message] of Object.entries(cases)) {
+    assert.throws(() => parseCron(expr), message, expr);
+  }
+});
+
+test('a restricted day of month or week must match on its own', () => {
+  const starts = (cron, now) => maintenanceState([{ cron, durationMinutes: 30 }], now).upcoming.map(w => w.start);
+
+  assert.deepEqual(starts('0 3 13 * *', at(2026, 0, 10)), [iso(2026, 0, 13, 3)]);
+  // Fridays only: 9 and 16 January
+  assert.deepEqual(starts('0 3 * * 5', at(2026, 0, 8, 12)), [iso(2026, 0, 9, 3)]);
+  assert.deepEqual(starts('0 12 * * 7', NEW_YEAR), [iso(2026, 0, 4, 12)]);
+  assert.deepEqual(starts('0 0 1 2 *', at(2026, 0, 28)), [iso(2026, 1, 1)]);
+});
+
+test('when both day fields are restricted either one matches', () => {
+  // "The 13th, or any Friday"; 13 January 2026 is a Tuesday
+  const { upcoming } = maintenanceState([{ cron: '0 3 13 * 5', durationMinutes: 30 }], at(2026, 0, 8));
+  assert.deepEqual(upcoming.map(w => w.start), [iso(2026, 0, 9, 3), iso(2026, 0, 13, 3)]);
+});
+
+test('reports a recurring window that is running and the next ones', () => {
+  const window = { cron: '30 2 * * *', durationMinutes: 60, reason: 'Nightly restart' };
+  const state = maintenanceState([window], at(2026, 0, 1, 3, 0));
+  assert.deepEqual(state.active, { start: iso(2026, 0, 1, 2, 30), end: iso(2026, 0, 1, 3, 30), reason: 'Nightly restart' });
+  assert.deepEqual(state.upcoming.map(w => w.start), [iso(2026, 0, 2, 2, 30), iso(2026, 0, 3, 2, 30)]);
+
+  // The end is exclusive
+  assert.equal(maintenanceState([window], at(2026, 0, 1, 3, 30)).active, null);
+});
+
+test('one-off windows: running, upcoming within a week, past or too far ahead', () => {
+  const windows = [
+    { start: iso(2025, 11, 31, 22), end: iso(2026, 0, 1, 2), reason: 'Upgrade' },
+    { start: iso(2026, 0, 3), end: iso(2026, 0, 3, 1) },
+    { start: iso(2025, 11, 1), end: iso(2025, 11, 2) },
+    { start: iso(2026, 0, 20), end: iso(2026, 0, 21) },
+  ];
+  assert.deepEqual(maintenanceState(windows, NEW_YEAR), {
+    active: { start: iso(2025, 11, 31, 22), end: iso(2026, 0, 1, 2), reason: 'Upgrade' },
+    upcoming: [{ start: iso(2026, 0, 3), end: iso(2026, 0, 3, 1), reason: null }],
+  });
+});
+
+test('overlapping windows report the one ending last', () => {
+  const state = maintenanceState([
+    { start: iso(2025, 11, 31, 23), end: iso(2026, 0, 1, 1), reason: 'short' },
+    { cron: '0 23 * * *', durationMinutes: 180, reason: 'long' },
+  ], NEW_YEAR);
+  assert.equal(state.active.reason, 'long');
+});
+
+test('shared windows apply by server id, by group, or to everyone', () => {
+  const own = { start: iso(2026, 0, 2), end: iso(2026, 0, 3) };
+  const byId = { cron: '0 1 * * *', durationMinutes: 5, servers: ['mc'] };
+  const byGroup = { cron: '0 2 * * *', durationMinutes: 5, groups: ['games'] };
+  const everyone = { cron: '0 3 * * *', durationMinutes: 5 };
+  const other = { cron: '0 4 * * *', durationMinutes: 5, servers: ['web'], groups: ['sites'] };
+  const shared = [byId, byGroup, everyone, other];
+
+  assert.deepEqual(windowsFor({ id: 'mc', group: 'games', maintenanceWindows: [own] }, shared), [own, byId, byGroup, everyone]);
+  assert.deepEqual(windowsFor({ id: 'db' }, shared), [everyone]);
+});
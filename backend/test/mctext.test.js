@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * MOTD conversion: § codes, chat components and HTML safety
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toPlainText, toHtml } = require('../lib/checkers/mctext');
+
+test('§ color codes reset formatting and §r returns to the base style', () => {
+  const motd = '§l§cBold red§7 gray§r plain';
+  assert.equal(toPlainText(motd), 'Bold red gray plain');
+  assert.equal(toHtml(motd),
+    '<span style="color:#FF5555">Bold red</span><span style="color:#AAAAAA"> gray</span> plain');
+  assert.equal(toHtml('§cred §lbold'),
+    '<span style="color:#FF5555">red </span><span style="color:#FF5555;font-weight:700">bold</span>');
+});
+
+test('§ format codes stack and codes are case-insensitive', () => {
+  assert.equal(toHtml('§N§mstruck §oitalic'),
+    '<span style="text-decoration:underline line-through">struck </span>'
+    + '<span style="font-style:italic;text-decoration:underline line-through">italic</span>');
+  assert.equal(toHtml('§knoise'), '<span style="opacity:.6">noise</span>');
+});
+
+test('unknown and dangling § codes are dropped or kept as text', () => {
+  assert.equal(toPlainText('§zhi§'), 'hi§');
+});
+
+test('chat components inherit style through extra', () => {
+  const description = {
+    text: 'Nebula ',
+    color: 'gold',
+    extra: [{ text: 'SMP', bold: true }, { text: ' §bnow', color: 'red' }, 42],
+  };
+  assert.equal(toPlainText(description), 'Nebula SMP now42');
+  assert.equal(toHtml(description),
+    '<span style="color:#FFAA00">Nebula </span>'
+    + '<span style="color:#FFAA00;font-weight:700">SMP</span>'
+    + '<span style="color:#FF5555"> </span><span style="color:#55FFFF">now</span>'
+    + '<span style="color:#FFAA00">42</span>');
+});
+
+test('hex colors are accepted and anything else is ignored', () => {
+  assert.equal(toHtml({ text: 'hex', color: '#a1b2c3' }), '<span style="color:#A1B2C3">hex</span>');
+  for (const color of ['red;background:url(x)', '#12345', 'expression(alert(1))', 7]) {
+    assert.equal(toHtml({ text: 'x', color }), 'x', String(color));
+  }
+  assert.equal(toHtml({ text: 'x', bold: 'yes' }), 'x');
+});
+
+test('server text is escaped and newlines become <br/>', () => {
+  assert.equal(toHtml('<img src=x onerror="alert(\'1\')">&'),
+    '&lt;img src=x onerror=&quot;alert(&#39;1&#39;)&quot;&gt;&amp;');
+  assert.equal(toHtml({ text: 'a\nb\r\nc', color: 'white' }), '<span style="color:#FFFFFF">a<br/>b<br/>c</span>');
+  assert.equal(toPlainText('  padded  '), 'padded');
+});
+
+test('bare arrays, translate keys and junk values', () => {
+  assert.equal(toPlainText(['a', { text: 'b' }, null, true, { translate: 'c' }]), 'abc');
+  assert.equal(toPlainText(undefined), '');
+  assert.equal(toPlainText({}), '');
+});
+
+test('deeply nested components are cut off', () => {
+  let node = { text: 'deep' };
+  for (let i = 0; i < 40; i++) node = { text: String(i % 10), extra: [node] };
+  const text = toPlainText(node);
+  assert.equal(text.length, 17);
+  assert.ok(!text.includes('deep'));
+});
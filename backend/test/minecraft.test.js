@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Java status JSON parsing from fixture responses
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseStatus, isFavicon } = require('../lib/checkers/minecraft');
+
+const ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+test('parses a vanilla status response', () => {
+  const info = parseStatus({
+    version: { name: '1.21.1', protocol: 767 },
+    players: { online: 2, max: 20, sample: [{ name: 'Alex', id: 'a' }, { name: '§cSteve', id: 'b' }, { id: 'c' }] },
+    description: { text: 'Hello', color: 'green' },
+    favicon: ICON,
+  });
+  assert.deepEqual(info, {
+    online: true,
+    players: { online: 2, max: 20 },
+    version: '1.21.1',
+    protocol: 767,
+    motd: 'Hello',
+    motdHtml: '<span style="color:#55FF55">Hello</span>',
+    favicon: ICON,
+    playerSample: ['Alex', 'Steve'],
+  });
+});
+
+test('survives missing and mistyped fields', () => {
+  assert.deepEqual(parseStatus({}), { online: true });
+  assert.deepEqual(parseStatus(null), { online: true });
+  assert.deepEqual(parseStatus({
+    version: { name: 5, protocol: '767' },
+    players: { online: '2', max: 20, sample: 'nope' },
+    description: '',
+    favicon: 'javascript:alert(1)',
+  }), { online: true });
+});
+
+test('caps the player sample', () => {
+  const sample = Array.from({ length: 30 }, (_, i) => ({ name: `p${i}` }));
+  assert.equal(parseStatus({ players: { online: 30, max: 30, sample } }).playerSample.length, 12);
+});
+
+test('reads Forge, NeoForge and Fabric mod info', () => {
+  const legacy = parseStatus({ modinfo: { type: 'FML', modList: [{ modid: 'jei', version: '4.16' }, { modid: 7 }] } });
+  assert.equal(legacy.modloader, 'forge');
+  assert.deepEqual(legacy.mods, { count: 2, list: [{ id: 'jei', version: '4.16' }] });
+
+  const neo = parseStatus({
+    forgeData: { channels: [{ res: 'neoforge:handshake' }], mods: [{ modId: 'create', modmarker: '0.5' }] },
+  });
+  assert.equal(neo.modloader, 'neoforge');
+  assert.deepEqual(neo.mods, { count: 1, list: [{ id: 'create', version: '0.5' }] });
+
+  // Large Forge lists only come compressed in forgeData.d
+  assert.deepEqual(parseStatus({ forgeData: { d: 'opaque' } }).mods, { count: 0, list: [] });
+  assert.equal(parseStatus({ version: { name: 'Fabric 1.20.4' } }).modloader, 'fabric');
+});
+
+test('only accepts PNG data URLs of a sane size as favicons', () => {
+  assert.ok(isFavicon(ICON));
+  assert.ok(!isFavicon('data:image/svg+xml;base64,PHN2Zz4='));
+  assert.ok(!isFavicon('data:image/png;base64,AAAA"><script>'));
+  assert.ok(!isFavicon(`data:image/png;base64,${'A'.repeat(70 * 1024)}`));
+  assert.ok(!isFavicon(null));
+});
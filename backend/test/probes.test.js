@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * Distributed polling with real processes on localhost: one aggregator
+ * (--serve, probe "hq" in eu) and two agents (--agent, "eu-2" and "us-1").
+ *
+ * Agents take their own config (--config), so each can be given a route
+ * that fails: a closed port stands in for "this probe cannot reach it".
+ * The poller runs from a copy in a temp directory, so the repo's
+ * frontend/ and data/ files are never touched.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const net = require('node:net');
+const { spawn } = require('node:child_process');
+
+const { createProbeSet, sanitizeResult } = require('../lib/probes');
+
+const BACKEND_DIR = path.resolve(__dirname, '..');
+const TOKEN = 'probe-test-token';
+const WAIT_MS = 20000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+async function freePort() {
+  const server = net.createServer();
+  const port = await listen(server);
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+function tcpServer(id, port, region) {
+  return {
+    id,
+    name: id,
+    ip: '127.0.0.1',
+    port,
+    meta: { region },
+    polling: { method: 'tcp', intervalMs: 1000, timeoutMs: 500 },
+  };
+}
+
+// poller.js finds frontend/ and data/ next to its own directory
+function copyPoller(root) {
+  const skip = new Set(['data', 'node_modules', 'test']);
+  fs.cpSync(BACKEND_DIR, path.join(root, 'backend'), {
+    recursive: true,
+    filter: (src) => !skip.has(path.relative(BACKEND_DIR, src).split(path.sep)[0]),
+  });
+  fs.mkdirSync(path.join(root, 'frontend'));
+}
+
+function startPoller(root, args) {
+  const child = spawn(process.execPath, ['poller.js', ...args], {
+    cwd: path.join(root, 'backend'),
+    env: { ...process.env, NEBULA_PROBE_TOKEN: TOKEN },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+  child.output = () => output;
+  return child;
+}
+
+function stop(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    child.once('exit', resolve);
+    child.kill();
+  });
+}
+
+async function servers(port) {
+  const res = await fetch(`http://127.0.0.1:${port}/api/servers`);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return Object.fromEntries((await res.json()).map(s => [s.id, s]));
+}
+
+// Until every server has been merged from all three probes
+async function waitForProbes(port, ids) {
+  const deadline = Date.now() + WAIT_MS;
+  let last = null;
+  while (Date.now() < deadline) {
+    try {
+      last = await servers(port);
+      if (ids.every(id => last[id]?.probes?.length === 3)) return last;
+    } catch {
+      // aggregator still starting
+    }
+    await sleep(250);
+  }
+  throw new Error(`no results from 3 probes within ${WAIT_MS}ms: ${JSON.stringify(last)}`);
+}
+
+test('aggregates two agents and the aggregator by quorum and region', { timeout: WAIT_MS + 10000 }, async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'nebula-probes-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  copyPoller(root);
+
+  // The monitored server, and a port nothing listens on
+  const target = net.createServer((socket) => socket.end());
+  const open = await listen(target);
+  t.after(() => new Promise((resolve) => target.close(resolve)));
+  const closed = await freePort();
+
+  // web: only us-1 fails to reach it (1 of 3 down, stays online)
+  // api: both agents fail to reach it (2 of 3 down, offline)
+  const configs = {
+    hq: [tcpServer('web', open, 'eu'), tcpServer('api', open, 'eu')],
+    'eu-2': [tcpServer('web', open, 'eu'), tcpServer('api', closed, 'eu')],
+    'us-1': [tcpServer('web', closed, 'eu'), tcpServer('api', closed, 'eu')],
+  };
+  fs.writeFileSync(path.join(root, 'frontend', 'servers.config.json'), JSON.stringify(configs.hq));
+  for (const probe of ['eu-2', 'us-1']) {
+    fs.writeFileSync(path.join(root, `${probe}.json`), JSON.stringify(configs[probe]));
+  }
+
+  const port = await freePort();
+  const children = [
+    startPoller(root, ['--serve', '--port', String(port), '--probe', 'hq', '--region', 'eu']),
+    startPoller(root, ['--agent', `http://127.0.0.1:${port}`, '--config', path.join(root, 'eu-2.json'), '--probe', 'eu-2', '--region', 'eu']),
+    startPoller(root, ['--agent', `http://127.0.0.1:${port}`, '--config', path.join(root, 'us-1.json'), '--probe', 'us-1', '--region', 'us']),
+  ];
+  t.after(() => Promise.all(children.map(stop)));
+
+  let view;
+  try {
+    view = await waitForProbes(port, ['web', 'api']);
+  } catch (err) {
+    err.message += `\n${children.map(c => c.output()).join('\n')}`;
+    throw err;
+  }
+
+  const { web, api } = view;
+  assert.equal(web.online, true);
+  assert.equal(web.state, 'degraded');
+  assert.equal(web.reason, 'unreachable from us (1/3 probes)');
+  assert.deepEqual(web.regions, { eu: { up: 2, total: 2 }, us: { up: 0, total: 1 } });
+  assert.deepEqual(web.probes.map(p => [p.id, p.region, p.online]).sort(), [
+    ['eu-2', 'eu', true],
+    ['hq', 'eu', true],
+    ['us-1', 'us', false],
+  ]);
+
+  assert.equal(api.online, false);
+  assert.equal(api.state, 'offline');
+  assert.deepEqual(api.regions, { eu: { up: 1, total: 2 }, us: { up: 0, total: 1 } });
+
+  // Every probe checked in with the aggregator
+  const res = await fetch(`http://127.0.0.1:${port}/api/probes`);
+  const probes = (await res.json()).map(p => [p.id, p.region]).sort();
+  assert.deepEqual(probes, [['eu-2', 'eu'], ['hq', 'eu'], ['us-1', 'us']]);
+});
+
+test('counts any region name an agent reports', () => {
+  const probes = createProbeSet({ local: { id: 'hq', region: 'eu' }, intervalFor: () => 60000 });
+  probes.record({ id: 'hq', region: 'eu' }, 'web', { online: true });
+  probes.record({ id: 'a', region: '__proto__' }, 'web', { online: false });
+  probes.record({ id: 'b', region: 'constructor' }, 'web', { online: false });
+
+  const merged = probes.merge({ id: 'web' }, null);
+  assert.equal(merged.online, false);
+  assert.deepEqual(merged.quorum, { down: 2, total: 3, needed: 2 });
+  assert.deepEqual(JSON.parse(JSON.stringify(merged.regions)), JSON.parse(
+    '{"eu":{"up":1,"total":1},"__proto__":{"up":0,"total":1},"constructor":{"up":0,"total":1}}'
+  ));
+});
+
+test('never publishes markup or unknown fields from an agent', { timeout: WAIT_MS + 10000 }, async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'nebula-probes-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  copyPoller(root);
+
+  // Down from here too, so the agent agrees with the verdict and, being
+  // in the server's own region, supplies the details
+  const closed = await freePort();
+  fs.writeFileSync(path.join(root, 'frontend', 'servers.config.json'), JSON.stringify([tcpServer('mc', closed, 'ap')]));
+
+  const port = await freePort();
+  const aggregator = startPoller(root, ['--serve', '--port', String(port), '--probe', 'hq', '--region', 'eu']);
+  t.after(() => stop(aggregator));
+
+  const hostile = {
+    probe: { id: 'evil', region: 'ap' },
+    results: [{
+      id: 'mc',
+      result: {
+        online: false,
+        motd: '<img src=x onerror=alert(1)>',
+        motdHtml: '<img src=x onerror=alert(2)>',
+        version: '<script>alert(3)</script>',
+        favicon: 'data:image/png;base64,x"><img src=x onerror=alert(4)>',
+        mods: { count: '<b>1</b>', list: [] },
+        injected: 'anything',
+      },
+    }],
+  };
+
+  const deadline = Date.now() + WAIT_MS;
+  let mc;
+  while (Date.now() < deadline) {
+    try {
+      await fetch(`http://127.0.0.1:${port}/api/probes/report`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+        body: JSON.stringify(hostile),
+      });
+      mc = (await servers(port)).mc;
+      if (mc?.probes?.length === 2) break;
+    } catch {
+      // aggregator still starting
+    }
+    await sleep(250);
+  }
+  assert.equal(mc?.probes?.length, 2, aggregator.output());
+
+  assert.equal(mc.motd, '<img src=x onerror=alert(1)>');
+  assert.equal(mc.motdHtml, '&lt;img src=x onerror=alert(1)&gt;');
+  assert.equal(mc.version, '<script>alert(3)</script>'); // plain text, escaped by the dashboard
+  assert.equal(mc.favicon, undefined);
+  assert.equal(mc.mods, undefined);
+  assert.equal(mc.injected, undefined);
+});
+
+test('keeps only known result fields with the right types', () => {
+  const clean = sanitizeResult({
+    online: true,
+    rttMs: 12,
+    players: { online: 3, max: '20' },
+    playerSample: ['Steve', { name: 'x' }],
+    mods: { count: 2, list: [{ id: 'jei', version: '1.0', extra: '<b>' }, { id: 7 }] },
+    tls: { expiresAt: '2030-01-01T00:00:00Z', daysLeft: 100, warn: 'no' },
+    health: { online: false, failure: 'status 500', html: '<b>' },
+    error: 'internal',
+    __proto__: { polluted: true },
+  });
+
+  assert.deepEqual(clean, {
+    online: true,
+    rttMs: 12,
+    playerSample: ['Steve'],
+    mods: { count: 2, list: [{ id: 'jei', version: '1.0' }] },
+    tls: { expiresAt: '2030-01-01T00:00:00.000Z', daysLeft: 100 },
+    health: { online: false, failure: 'status 500' },
+  });
+});
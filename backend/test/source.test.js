@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * A2S_INFO parsing from hand-built packets, plus the challenge round trip
+ * against a local UDP stand-in for a Source server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('node:dgram');
+
+const { checkSource, parseInfoResponse } = require('../lib/checkers/source');
+
+// Packet builder: strings are NUL-terminated, numbers little-endian
+function packet(parts) {
+  return Buffer.concat(parts.map(([type, value]) => {
+    if (type === 'string') return Buffer.from(`${value}\0`, 'utf8');
+    if (type === 'byte') return Buffer.from([value]);
+    const buf = Buffer.alloc(type === 'short' ? 2 : 4);
+    if (type === 'short') buf.writeUInt16LE(value);
+    else buf.writeInt32LE(value);
+    return buf;
+  }));
+}
+
+function sourceInfo({ appId = 730, version = '1.38.7.9', extra = [] } = {}) {
+  return packet([
+    ['long', -1], ['byte', 0x49], ['byte', 17],
+    ['string', 'Nebula CS'], ['string', 'de_dust2'], ['string', 'csgo'], ['string', 'Counter-Strike 2'],
+    ['short', appId], ['byte', 12], ['byte', 24], ['byte', 2],
+    ['byte', 0x64], ['byte', 0x6c], ['byte', 1], ['byte', 1],
+    ...extra,
+    ['string', version],
+  ]);
+}
+
+test('parses a Source response', () => {
+  assert.deepEqual(parseInfoResponse(sourceInfo()), {
+    online: true,
+    players: { online: 12, max: 24 },
+    version: '1.38.7.9',
+    name: 'Nebula CS',
+    map: 'de_dust2',
+    game: 'Counter-Strike 2',
+    bots: 2,
+    vac: true,
+    password: true,
+  });
+});
+
+test('skips The Ship fields before the version', () => {
+  const info = parseInfoResponse(sourceInfo({ appId: 2400, extra: [['byte', 0], ['byte', 3], ['byte', 5]] }));
+  assert.equal(info.version, '1.38.7.9');
+});
+
+test('keeps server strings as they are (the dashboard escapes them)', () => {
+  assert.equal(parseInfoResponse(sourceInfo({ version: '1.0<svg onload=alert(1)>' })).version, '1.0<svg onload=alert(1)>');
+});
+
+test('parses an obsolete GoldSrc response, with and without mod info', () => {
+  const goldSrc = (isMod, modFields = []) => packet([
+    ['long', -1], ['byte', 0x6d],
+    ['string', '1.2.3.4:27015'], ['string', 'Old HL'], ['string', 'crossfire'], ['string', 'valve'], ['string', 'Half-Life'],
+    ['byte', 3], ['byte', 16], ['byte', 47], ['byte', 0x64], ['byte', 0x6c], ['byte', 0],
+    ['byte', isMod], ...modFields,
+    ['byte', 1], ['byte', 0],
+  ]);
+  const expected = {
+    online: true,
+    players: { online: 3, max: 16 },
+    name: 'Old HL',
+    map: 'crossfire',
+    game: 'Half-Life',
+    bots: 0,
+    vac: true,
+    password: false,
+  };
+
+  assert.deepEqual(parseInfoResponse(goldSrc(0)), expected);
+  assert.deepEqual(parseInfoResponse(goldSrc(1, [
+    ['string', 'http://mod.example'], ['string', ''], ['byte', 0], ['long', 1], ['long', 1024], ['byte', 0], ['byte', 1],
+  ])), expected);
+});
+
+test('rejects truncated packets and unknown response types', () => {
+  const full = sourceInfo();
+  // Cut inside a string, inside the numeric block, and just before the version's NUL
+  for (const length of [12, 50, full.length - 1]) {
+    assert.throws(() => parseInfoResponse(full.subarray(0, length)), RangeError, `cut at ${length}`);
+  }
+  assert.throws(() => parseInfoResponse(Buffer.from([0xff, 0xff, 0xff, 0xff, 0x44])), /unexpected response 0x44/);
+});
+
+test('answers a challenge and reports the server', async (t) => {
+  const challenge = Buffer.from([1, 2, 3, 4]);
+  const requests = [];
+  const server = dgram.createSocket('udp4');
+  server.on('message', (msg, from) => {
+    requests.push(msg);
+    const reply = msg.subarray(-4).equals(challenge)
+      ? sourceInfo()
+      : Buffer.concat([Buffer.from([0xff, 0xff, 0xff, 0xff, 0x41]), challenge]);
+    server.send(reply, from.port, from.address);
+  });
+  await new Promise((resolve) => server.bind(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const result = await checkSource({ host: '127.0.0.1', port: server.address().port, timeoutMs: 2000 });
+  assert.equal(result.online, true);
+  assert.equal(result.map, 'de_dust2');
+  assert.equal(requests.length, 2);
+});
+
+test('a truncated answer still proves the server is up', async (t) => {
+  const server = dgram.createSocket('udp4');
+  server.on('message', (msg, from) => server.send(sourceInfo().subarray(0, 20), from.port, from.address));
+  await new Promise((resolve) => server.bind(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const result = await checkSource({ host: '127.0.0.1', port: server.address().port, timeoutMs: 2000 });
+  assert.equal(result.online, true);
+  assert.equal(result.map, undefined);
+});
@@ -0,0 +1,500 @@
+// Admin page: edits servers.config.json through the backend's admin API
+// (poller.js --serve with NEBULA_ADMIN_TOKEN set). Every change is saved
+// right away; the backend validates it against the config schema, keeps
+// a backup of the previous file, and the watcher reloads it.
+
+const panel = document.getElementById("adminPanel");
+const notice = document.getElementById("adminNotice");
+
+const TOKEN_KEY = "nebulaAdminToken";
+const API_URL = "./api/admin/config";
+
+// Fields the editor has inputs for; everything else is edited as JSON
+const FORM_FIELDS = ["id", "name", "group", "kind", "description", "ip", "port", "url", "tags"];
+
+let RAW = null; // the config as stored: an array or { groups, servers, ... }
+let REVISION = null; // sent back on save, so concurrent edits are refused
+let EDITING = null; // { index, insert, server } while the editor is open
+
+function serversOf(config) {
+  return Array.isArray(config) ? config : config.servers;
+}
+
+function showNotice(html, kind = "ok") {
+  notice.className = `notice ${kind}`;
+  notice.innerHTML = html;
+}
+
+function clearNotice() {
+  notice.className = "notice";
+  notice.innerHTML = "";
+}
+
+function issueList(title, items) {
+  if (!items?.length) return "";
+  return `${title}<ul>${items.map(i => `<li class="mono">${escapeHtml(i)}</li>`).join("")}</ul>`;
+}
+
+// ---------------------------
+// API
+// ---------------------------
+
+async function api(method, body) {
+  const res = await fetch(API_URL, {
+    method,
+    cache: "no-store",
+    headers: {
+      authorization: `Bearer ${sessionStorage.getItem(TOKEN_KEY) || ""}`,
+      ...(body ? { "content-type": "application/json" } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw Object.assign(new Error(data.error || `HTTP ${res.status}`), {
+      status: res.status,
+      errors: data.errors || [],
+      warnings: data.warnings || []
+    });
+  }
+  return data;
+}
+
+async function load() {
+  try {
+    const data = await api("GET");
+    RAW = data.config;
+    REVISION = data.revision;
+  } catch (err) {
+    if (err.status === 401) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      return renderLogin("That token was not accepted.");
+    }
+    if (err.status === 404) {
+      panel.innerHTML = `
+        <div class="tile-desc">
+          The admin API is off. Start the poller with <span class="mono">--serve</span>
+          and set <span class="mono">NEBULA_ADMIN_TOKEN</span>.
+        </div>
+      `;
+      return;
+    }
+    if (err.status) {
+      // e.g. 409: servers.config.json on disk is not valid JSON
+      panel.innerHTML = `<div class="tile-desc warn">Cannot load the config: ${escapeHtml(err.message)}</div>`;
+      return;
+    }
+    throw err;
+  }
+  applyShell(RAW);
+  render();
+}
+
+/**
+ * Applies `change` to a copy of the config and saves it. Resolves to
+ * true once stored; on a refusal the last saved config stays in place.
+ */
+async function save(change, label) {
+  const next = structuredClone(RAW);
+  change(serversOf(next), next);
+
+  try {
+    const saved = await api("PUT", { config: next, revision: REVISION });
+    RAW = next;
+    REVISION = saved.revision;
+    showNotice(`Saved: ${escapeHtml(label)}${issueList("<br/>Warnings:", saved.warnings)}`, saved.warnings?.length ? "warn" : "ok");
+    return true;
+  } catch (err) {
+    if (err.status === 409) {
+      showNotice("The config was changed elsewhere since it was loaded. Reloaded it; please try again.", "error");
+      await load();
+      return false;
+    }
+    if (err.status === 401) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      RAW = null;
+      renderLogin("Your token is no longer accepted.");
+      return false;
+    }
+    showNotice(`Not saved: ${escapeHtml(err.message)}${issueList("", err.errors)}${issueList("Warnings:", err.warnings)}`, "error");
+    return false;
+  } finally {
+    render();
+  }
+}
+
+// ---------------------------
+// Sign in
+// ---------------------------
+
+function renderLogin(message = "") {
+  panel.innerHTML = `
+    <form class="admin-form login" id="loginForm">
+      <label>
+        Admin token
+        <input class="admin-input" type="password" name="token" autocomplete="current-password" required />
+      </label>
+      <button class="button primary" type="submit">Sign in</button>
+      ${message ? `<div class="warn">${escapeHtml(message)}</div>` : ""}
+      <div class="fine">The token is the <span class="mono">NEBULA_ADMIN_TOKEN</span> the poller runs with. It is kept for this tab only.</div>
+    </form>
+  `;
+  panel.querySelector("input").focus();
+}
+
+// ---------------------------
+// Server list
+// ---------------------------
+
+function allTags() {
+  const counts = new Map();
+  for (const s of serversOf(RAW)) {
+    for (const t of s.tags || []) counts.set(t, (counts.get(t) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+function buildRow(s, i, count) {
+  const enabled = s.enabled !== false && s.enabled !== "false" && s.enabled !== 0;
+  const maintenance = s.maintenance === true;
+
+  return `
+    <div class="admin-row ${enabled ? "" : "disabled"}" data-index="${i}">
+      <div class="admin-name">
+        <strong>${escapeHtml(s.name || s.id)}</strong>
+        <span class="fine mono">${escapeHtml(s.id)}${s.group ? ` · ${escapeHtml(s.group)}` : ""}</span>
+        <div>${(s.tags || []).map(t => `<span class="pill">${escapeHtml(t)}</span>`).join("")}</div>
+      </div>
+
+      <div class="admin-toggles">
+        <label><input type="checkbox" data-action="enabled" ${enabled ? "checked" : ""} /> Enabled</label>
+        <label><input type="checkbox" data-action="maintenance" ${maintenance ? "checked" : ""} /> Maintenance</label>
+        ${maintenance ? `
+          <input class="admin-input" data-action="reason" placeholder="Reason (shown on the tile)"
+            value="${escapeHtml(s.maintenanceReason || "")}" />
+        ` : ""}
+      </div>
+
+      <div class="admin-actions">
+        <button class="button" data-action="up" ${i === 0 ? "disabled" : ""} title="Move up">↑</button>
+        <button class="button" data-action="down" ${i === count - 1 ? "disabled" : ""} title="Move down">↓</button>
+        <button class="button" data-action="edit">Edit</button>
+        <button class="button" data-action="clone">Clone</button>
+        <button class="button" data-action="delete">Delete</button>
+      </div>
+    </div>
+  `;
+}
+
+function buildTags() {
+  const tags = allTags();
+  if (!tags.length) return `<div class="fine">No tags yet. Add them in the server editor.</div>`;
+  return tags.map(([tag, n]) => `
+    <div class="admin-tag" data-tag="${escapeHtml(tag)}">
+      <span class="pill">${escapeHtml(tag)}</span>
+      <span class="fine">${n} server${n === 1 ? "" : "s"}</span>
+      <button class="button" data-action="rename-tag">Rename</button>
+      <button class="button" data-action="remove-tag">Remove</button>
+    </div>
+  `).join("");
+}
+
+function render() {
+  if (!RAW) return;
+  const servers = serversOf(RAW);
+
+  panel.innerHTML = `
+    <div class="toolbar">
+      <button class="button primary" data-action="add">Add server</button>
+      <button class="button" data-action="reload">Reload</button>
+      <button class="button" data-action="sign-out">Sign out</button>
+    </div>
+
+    <div class="admin-list">
+      ${servers.map((s, i) => buildRow(s, i, servers.length)).join("") || `<div class="fine">No servers yet.</div>`}
+    </div>
+
+    <h2>Tags</h2>
+    <div class="admin-tags">${buildTags()}</div>
+  `;
+
+  if (EDITING) panel.appendChild(buildEditor());
+}
+
+// ---------------------------
+// Editor
+// ---------------------------
+
+function uniqueId(base) {
+  const ids = new Set(serversOf(RAW).map(s => s.id));
+  if (!ids.has(base)) return base;
+  let n = 2;
+  while (ids.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
+
+function otherSettings(server) {
+  const rest = { ...server };
+  for (const key of FORM_FIELDS) delete rest[key];
+  return Object.keys(rest).length ? JSON.stringify(rest, null, 2) : "";
+}
+
+function buildEditor() {
+  const s = EDITING.server;
+  const groups = groupsFrom(RAW).map(g => g.id);
+  const field = (name, label, value, attrs = "") => `
+    <label>
+      ${label}
+      <input class="admin-input" name="${name}" value="${escapeHtml(value ?? "")}" ${attrs} />
+    </label>
+  `;
+
+  const modal = document.createElement("div");
+  modal.className = "modal-backdrop";
+  modal.innerHTML = `
+    <form class="modal card admin-form admin-editor" role="dialog" aria-modal="true" aria-labelledby="editorTitle">
+      <h2 id="editorTitle">${EDITING.insert ? "New server" : `Edit ${escapeHtml(s.name || s.id)}`}</h2>
+
+      <div class="admin-fields">
+        ${field("id", "Id", s.id, "required")}
+        ${field("name", "Name", s.name)}
+        ${field("group", "Group", s.group, `list="adminGroups"`)}
+        ${field("kind", "Kind", s.kind, `list="adminKinds" placeholder="game, app…"`)}
+        ${field("ip", "IP / host", s.ip)}
+        ${field("port", "Port", s.port, `inputmode="numeric"`)}
+        ${field("url", "URL", s.url, `placeholder="https://…"`)}
+        ${field("tags", "Tags", (s.tags || []).join(", "), `placeholder="comma, separated"`)}
+      </div>
+      ${field("description", "Description", s.description)}
+
+      <label>
+        Other settings (JSON): polling, http, notifications, maintenance windows…
+        <textarea class="admin-input mono" name="other" rows="8" spellcheck="false">${escapeHtml(otherSettings(s))}</textarea>
+      </label>
+
+      <datalist id="adminGroups">${groups.map(g => `<option value="${escapeHtml(g)}"></option>`).join("")}</datalist>
+      <datalist id="adminKinds"><option value="game"></option><option value="app"></option></datalist>
+
+      <div class="warn" id="editorError"></div>
+
+      <div class="admin-actions">
+        <button class="button primary" type="submit">Save</button>
+        <button class="button close" type="button">Cancel</button>
+      </div>
+    </form>
+  `;
+  return modal;
+}
+
+// Form -> server object, or throws with a message for the form
+function readEditor(form) {
+  const value = (name) => form.elements[name].value.trim();
+
+  let other = {};
+  if (value("other")) {
+    try {
+      other = JSON.parse(value("other"));
+    } catch (err) {
+      throw new Error(`Other settings are not valid JSON: ${err.message}`);
+    }
+    if (!other || typeof other !== "object" || Array.isArray(other)) {
+      throw new Error("Other settings must be a JSON object");
+    }
+  }
+
+  const server = {};
+  for (const key of FORM_FIELDS) {
+    const v = value(key);
+    if (!v) continue;
+    if (key === "port") server.port = /^\d+$/.test(v) ? Number(v) : v;
+    else if (key === "tags") server.tags = [...new Set(v.split(",").map(t => t.trim()).filter(Boolean))];
+    else server[key] = v;
+  }
+  if (server.tags && !server.tags.length) delete server.tags;
+
+  const taken = serversOf(RAW).some((s, i) => s.id === server.id && (EDITING.insert || i !== EDITING.index));
+  if (taken) throw new Error(`Another server already has the id "${server.id}"`);
+
+  return { ...server, ...other };
+}
+
+function openEditor(index, insert, server) {
+  EDITING = { index, insert, server };
+  render();
+  panel.querySelector(".admin-editor input")?.focus();
+}
+
+function closeEditor() {
+  EDITING = null;
+  render();
+}
+
+async function submitEditor(form) {
+  const error = form.querySelector("#editorError");
+  let server;
+  try {
+    server = readEditor(form);
+  } catch (err) {
+    error.textContent = err.message;
+    return;
+  }
+
+  const { index, insert } = EDITING;
+  EDITING = { ...EDITING, server };
+  const ok = await save(
+    (servers) => servers.splice(index, insert ? 0 : 1, server),
+    insert ? `added ${server.id}` : `updated ${server.id}`
+  );
+  if (ok) return closeEditor();
+
+  // The editor covers the notice, so repeat why it was refused
+  const refused = panel.querySelector("#editorError");
+  if (refused) refused.innerHTML = notice.innerHTML;
+}
+
+// ---------------------------
+// Actions
+// ---------------------------
+
+function serverAction(action, i, row) {
+  const s = serversOf(RAW)[i];
+
+  switch (action) {
+    case "enabled": {
+      const on = row.querySelector('[data-action="enabled"]').checked;
+      return save((servers) => {
+        if (on) delete servers[i].enabled;
+        else servers[i].enabled = false;
+      }, `${s.id} ${on ? "enabled" : "disabled"}`);
+    }
+
+    case "maintenance": {
+      const on = row.querySelector('[data-action="maintenance"]').checked;
+      return save((servers) => {
+        if (on) {
+          servers[i].maintenance = true;
+        } else {
+          delete servers[i].maintenance;
+          delete servers[i].maintenanceReason;
+        }
+      }, `${s.id} maintenance ${on ? "on" : "off"}`);
+    }
+
+    case "reason": {
+      const reason = row.querySelector('[data-action="reason"]').value.trim();
+      if (reason === (s.maintenanceReason || "")) return null;
+      return save((servers) => {
+        if (reason) servers[i].maintenanceReason = reason;
+        else delete servers[i].maintenanceReason;
+      }, `${s.id} maintenance reason`);
+    }
+
+    case "up":
+    case "down": {
+      const j = action === "up" ? i - 1 : i + 1;
+      return save((servers) => {
+        [servers[i], servers[j]] = [servers[j], servers[i]];
+      }, `moved ${s.id} ${action}`);
+    }
+
+    case "edit":
+      return openEditor(i, false, s);
+
+    case "clone": {
+      const copy = structuredClone(s);
+      copy.id = uniqueId(`${s.id}-copy`);
+      if (s.name) copy.name = `${s.name} (copy)`;
+      return openEditor(i + 1, true, copy);
+    }
+
+    case "delete":
+      if (!confirm(`Delete ${s.name || s.id}? A backup of the current config is kept.`)) return null;
+      return save((servers) => servers.splice(i, 1), `deleted ${s.id}`);
+  }
+  return null;
+}
+
+function tagAction(action, tag) {
+  if (action === "rename-tag") {
+    const name = prompt(`Rename the tag "${tag}" on every server to:`, tag)?.trim();
+    if (!name || name === tag) return null;
+    return save((servers) => {
+      for (const s of servers) {
+        if (s.tags?.includes(tag)) s.tags = [...new Set(s.tags.map(t => (t === tag ? name : t)))];
+      }
+    }, `renamed tag ${tag} to ${name}`);
+  }
+
+  if (action === "remove-tag") {
+    if (!confirm(`Remove the tag "${tag}" from every server?`)) return null;
+    return save((servers) => {
+      for (const s of servers) {
+        if (!s.tags?.includes(tag)) continue;
+        s.tags = s.tags.filter(t => t !== tag);
+        if (!s.tags.length) delete s.tags;
+      }
+    }, `removed tag ${tag}`);
+  }
+  return null;
+}
+
+function onAction(target) {
+  const action = target.dataset.action;
+  const row = target.closest(".admin-row");
+  const tag = target.closest(".admin-tag");
+
+  if (row) return serverAction(action, Number(row.dataset.index), row);
+  if (tag) return tagAction(action, tag.dataset.tag);
+
+  switch (action) {
+    case "add":
+      return openEditor(serversOf(RAW).length, true, { id: uniqueId("new-server") });
+    case "reload":
+      clearNotice();
+      return load();
+    case "sign-out":
+      sessionStorage.removeItem(TOKEN_KEY);
+      RAW = null;
+      clearNotice();
+      return renderLogin();
+  }
+  return null;
+}
+
+function report(promise) {
+  Promise.resolve(promise).catch((err) => {
+    console.error(err);
+    showNotice(`Something went wrong: ${escapeHtml(err.message)}`, "error");
+  });
+}
+
+panel.addEventListener("click", (e) => {
+  if (e.target.classList.contains("modal-backdrop") || e.target.closest("button.close")) return closeEditor();
+  const button = e.target.closest("button[data-action]");
+  if (button) report(onAction(button));
+});
+
+// Checkboxes save on change, the reason once the field is left
+panel.addEventListener("change", (e) => {
+  if (e.target.matches("input[data-action]")) report(onAction(e.target));
+});
+
+panel.addEventListener("submit", (e) => {
+  e.preventDefault();
+  if (e.target.id === "loginForm") {
+    sessionStorage.setItem(TOKEN_KEY, e.target.elements.token.value.trim());
+    return report(load());
+  }
+  if (e.target.classList.contains("admin-editor")) report(submitEditor(e.target));
+});
+
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && EDITING) closeEditor();
+});
+
+function main() {
+  if (!sessionStorage.getItem(TOKEN_KEY)) return renderLogin();
+  report(load());
+}
+
+main();
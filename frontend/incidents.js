@@ -0,0 +1,129 @@
+const list = document.getElementById("incidentList");
+
+const REFRESH_MS = 30000;
+let NAMES = {};
+
+function fmtDuration(ms) {
+  const m = Math.max(0, Math.round(ms / 60000));
+  if (m < 60) return `${m}m`;
+  const h = Math.floor(m / 60);
+  if (h < 24) return `${h}h ${m % 60}m`;
+  return `${Math.floor(h / 24)}d ${h % 24}h`;
+}
+
+function fmtTime(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "—";
+  return d.toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+}
+
+const UPDATE_LABELS = {
+  opened: "Opened",
+  down: "Down",
+  up: "Recovered",
+  note: "Update",
+  resolved: "Resolved"
+};
+
+function buildIncident(inc) {
+  const el = document.createElement("article");
+  const open = inc.status === "open";
+  el.className = `tile incident ${open ? "offline" : "resolved"}`;
+
+  const span = open
+    ? `Ongoing for <strong>${fmtDuration(Date.now() - Date.parse(inc.startedAt))}</strong>`
+    : `Resolved after <strong>${fmtDuration(inc.durationMs)}</strong>`;
+
+  const updates = [...inc.updates].reverse().map(u => `
+    <li class="update ${escapeHtml(u.type)}">
+      <span class="update-type">${UPDATE_LABELS[u.type] || escapeHtml(u.type)}</span>
+      <span class="fine">${fmtTime(u.at)}</span>
+      <div>${escapeHtml(u.text)}</div>
+    </li>
+  `).join("");
+
+  el.innerHTML = `
+    <div class="tile-head">
+      ${inc.servers.map(id => `
+        <span class="pill ${inc.down.includes(id) ? "active" : ""}">${escapeHtml(NAMES[id] || id)}</span>
+      `).join("")}
+    </div>
+
+    <div class="tile-title">#${inc.id} · ${escapeHtml(inc.title)}</div>
+    <div class="tile-desc">
+      Started: <strong>${fmtTime(inc.startedAt)}</strong><br/>
+      ${span}
+      <ul class="updates">${updates}</ul>
+    </div>
+
+    <div class="tile-foot">
+      <div class="status">
+        <span class="dot ${open ? "off" : "on"}"></span>
+        ${open ? "Ongoing" : "Resolved"}
+      </div>
+    </div>
+  `;
+
+  return el;
+}
+
+function render(incidents) {
+  list.innerHTML = "";
+
+  if (!incidents.length) {
+    list.innerHTML = `<div class="tile"><div class="tile-desc">No incidents recorded. All quiet.</div></div>`;
+    return;
+  }
+
+  // Ongoing first, then newest first
+  const sorted = [...incidents].sort((a, b) =>
+    (a.status === "open") !== (b.status === "open")
+      ? (a.status === "open" ? -1 : 1)
+      : Date.parse(b.startedAt) - Date.parse(a.startedAt)
+  );
+  sorted.forEach(inc => list.appendChild(buildIncident(inc)));
+}
+
+async function loadJson(path, fallback) {
+  const url = new URL(path, window.location.href);
+  url.searchParams.set("_ts", Date.now().toString()); // cache bust
+
+  const res = await fetch(url.toString(), { cache: "no-store" });
+  // No incidents.json yet simply means nothing has happened
+  if (res.status === 404 && fallback !== undefined) return fallback;
+  if (!res.ok) throw new Error(`Failed to load ${path}: ${res.status}`);
+  return res.json();
+}
+
+async function refresh() {
+  const config = await loadJson("./servers.config.json", []);
+  const servers = Array.isArray(config) ? config : (config.servers || []);
+  applyShell(config);
+  NAMES = Object.fromEntries(servers.map(s => [s.id, s.name || s.id]));
+
+  const data = await loadJson("./incidents.json", { incidents: [] });
+  render(data.incidents || []);
+
+  const el = document.getElementById("lastUpdated");
+  if (el) el.textContent = `Last updated: ${new Date().toLocaleTimeString()}`;
+}
+
+async function main() {
+  try {
+    await refresh();
+    setInterval(() => refresh().catch(console.error), REFRESH_MS);
+  } catch (err) {
+    console.error(err);
+    list.innerHTML = `
+      <div class="tile">
+        <div class="tile-title">Data Load Error</div>
+        <div class="tile-desc">
+          Could not load the incident timeline.<br/>
+          Open DevTools Console for details.
+        </div>
+      </div>
+    `;
+  }
+}
+
+main();
@@ -1,10 +1,26 @@
 const grid = document.getElementById("serverGrid");
-const page = window.NEBULA_PAGE || "all";
 
 let CONFIG = null;
 let REFRESH_MS = 15000;
 let LAST_MERGED = [];
-let ACTIVE_TAG = null;
+let LAST_STATUS = {};
+// Toolbar state, mirrored in the query string (?q=&tag=&match=&status=&sort=)
+const FILTERS = {
+  q: "",
+  tags: [],
+  match: "any",   // "any" (OR) or "all" (AND) across tags
+  status: [],     // online/offline/maintenance/disabled; empty = all
+  sort: "status"  // status (online first), name, players, latency, lastCheck
+};
+const STATUS_FILTERS = ["online", "degraded", "flapping", "offline", "unreachable", "maintenance", "disabled"];
+const SORTS = {
+  status: "Online first",
+  name: "Name",
+  players: "Players",
+  latency: "Latency",
+  lastCheck: "Last check"
+};
+const PING_WARN_MS = 200; // highlight ping at or above this
 
 function timeAgo(iso) {
   if (!iso) return "—";
@@ -20,6 +36,17 @@ function timeAgo(iso) {
   return `${h}h ago`;
 }
 
+// Maintenance window running right now. The poller reports the active one
+// and the next few; between checks an upcoming one may already have begun.
+function activeWindow(s, now = Date.now()) {
+  const windows = [s.maintenanceWindow, ...(s.maintenanceUpcoming || [])].filter(Boolean);
+  return windows.find(w => Date.parse(w.start) <= now && now < Date.parse(w.end)) || null;
+}
+
+function upcomingWindows(s, now = Date.now()) {
+  return (s.maintenanceUpcoming || []).filter(w => Date.parse(w.start) > now);
+}
+
 function deriveStatus(s) {
   // Disabled = hard off
   if (s.enabled === false) {
@@ -31,7 +58,7 @@ function deriveStatus(s) {
   }
 
   // Maintenance = intentional but temporary
-  if (s.maintenance === true) {
+  if (s.maintenance === true || activeWindow(s)) {
     return {
       label: "Maintenance",
       class: "maintenance",
@@ -39,6 +66,32 @@ function deriveStatus(s) {
     };
   }
 
+  // The poller refines online/offline: see backend/lib/states.js
+  // and backend/lib/dependencies.js
+  if (!s.online && s.state === "unreachable") {
+    return {
+      label: "Unreachable",
+      class: "unreachable",
+      dot: "unreachable"
+    };
+  }
+
+  if (s.state === "flapping") {
+    return {
+      label: "Flapping",
+      class: "flapping",
+      dot: "flapping"
+    };
+  }
+
+  if (s.online && s.state === "degraded") {
+    return {
+      label: "Degraded",
+      class: "degraded",
+      dot: "degraded"
+    };
+  }
+
   if (s.online) {
     return {
       label: "Online",
@@ -54,6 +107,18 @@ function deriveStatus(s) {
   };
 }
 
+// Online, but the certificate needs attention soon
+function hasWarning(s) {
+  if (s.enabled === false || !s.online) return false;
+  return Boolean(s.tls?.warn);
+}
+
+function fmtDays(days) {
+  if (days < 0) return "expired";
+  if (days === 0) return "expires today";
+  return `expires in ${days} day${days === 1 ? "" : "s"}`;
+}
+
 function fmtUrl(url) {
   // Pretty display without losing actual href
   try {
@@ -64,6 +129,104 @@ function fmtUrl(url) {
   }
 }
 
+function fmtCountdown(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d) return `${d}d ${h}h`;
+  if (h) return `${h}h ${m}m`;
+  if (m) return `${m}m ${s % 60}s`;
+  return `${s}s`;
+}
+
+// Live text, kept current by tickCountdowns()
+function countdown(iso) {
+  return `<span class="countdown" data-until="${escapeHtml(iso)}">${fmtCountdown(Date.parse(iso) - Date.now())}</span>`;
+}
+
+function fmtWindowTime(iso) {
+  return new Date(iso).toLocaleString([], { weekday: "short", hour: "2-digit", minute: "2-digit" });
+}
+
+function fmtPct(v) {
+  if (v == null) return "—";
+  // 100% and 0% read better without decimals
+  return `${v % 1 === 0 ? v : v.toFixed(2)}%`;
+}
+
+function fmtUptime(u) {
+  if (!u) return null;
+  const windows = ["24h", "7d", "30d"].filter(k => u[k] != null);
+  if (!windows.length) return null;
+  return windows
+    .map(k => `<strong>${fmtPct(u[k])}</strong> ${k}`)
+    .join(" · ");
+}
+
+function sparkline(samples, width = 96, height = 20) {
+  const list = Array.isArray(samples) ? samples : [];
+  const values = list.filter(v => v != null);
+  if (values.length < 2) return "";
+
+  const min = Math.min(...values);
+  const span = (Math.max(...values) - min) || 1;
+  const step = width / Math.max(1, list.length - 1);
+
+  // Offline checks are null: break the line there instead of bridging it
+  const runs = [];
+  let run = [];
+  list.forEach((v, i) => {
+    if (v == null) {
+      if (run.length) runs.push(run);
+      run = [];
+      return;
+    }
+    const x = (i * step).toFixed(1);
+    const y = (height - 2 - ((v - min) / span) * (height - 4)).toFixed(1);
+    run.push([x, y]);
+  });
+  if (run.length) runs.push(run);
+
+  const shapes = runs.map(r => r.length === 1
+    ? `<circle cx="${r[0][0]}" cy="${r[0][1]}" r="1.5"></circle>`
+    : `<polyline points="${r.map(p => p.join(",")).join(" ")}"></polyline>`
+  ).join("");
+
+  return `<svg class="spark" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" aria-hidden="true">${shapes}</svg>`;
+}
+
+// Hourly player peaks as bars; empty hours stay blank
+function playerGraph(peaks, width = 96, height = 20) {
+  const list = Array.isArray(peaks) ? peaks : [];
+  const max = Math.max(0, ...list.filter(v => v != null));
+  if (!max) return "";
+
+  const slot = width / list.length;
+  const bars = list.map((v, i) => {
+    if (v == null) return "";
+    const h = Math.max(1, (v / max) * (height - 2));
+    return `<rect x="${(i * slot + 0.5).toFixed(1)}" y="${(height - h).toFixed(1)}" width="${Math.max(1, slot - 1).toFixed(1)}" height="${h.toFixed(1)}"><title>${v}</title></rect>`;
+  }).join("");
+
+  return `<svg class="players-graph" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Players over the last 24 hours">${bars}</svg>`;
+}
+
+// Status entries carry players as { online, max }. Older status files
+// had a bare number next to maxPlayers; read both.
+function playersOf(s) {
+  if (s.players && typeof s.players === "object") {
+    const online = Number(s.players.online);
+    if (!Number.isFinite(online)) return null;
+    const max = Number(s.players.max);
+    return { online, max: Number.isFinite(max) ? max : null };
+  }
+  if (typeof s.players === "number") {
+    return { online: s.players, max: typeof s.maxPlayers === "number" ? s.maxPlayers : null };
+  }
+  return null;
+}
+
 function mergeConfigWithStatus(configList, statusMap) {
   return configList.map(cfg => {
     const st = statusMap?.[cfg.id] || {};
@@ -77,22 +240,208 @@ function mergeConfigWithStatus(configList, statusMap) {
   });
 }
 
+// ---- Join links ----
+// Games reached through Steam's connect URI (matched on subkind)
+const STEAM_SUBKINDS = [
+  "source", "goldsrc", "cs2", "csgo", "css", "tf2", "gmod", "garrysmod",
+  "l4d2", "hl2dm", "insurgency", "rust", "ark", "valheim"
+];
+
+function gameFamily(s) {
+  const sub = String(s.subkind || "").toLowerCase();
+  const method = s.polling?.method;
+  if (STEAM_SUBKINDS.includes(sub) || method === "source") return "steam";
+  if (sub === "minecraft-bedrock" || sub === "bedrock" || method === "minecraft-bedrock") return "bedrock";
+  if (sub.startsWith("minecraft") || method === "minecraft") return "minecraft";
+  return null;
+}
+
+function joinAddress(s) {
+  const host = s.ip || s.host;
+  if (!host || host === "0.0.0.0" || !s.port) return null;
+  return `${host}:${s.port}`;
+}
+
+// endpoints.joinUri placeholders: {host} {ip} {port} {address} {name} {id}
+function fillTemplate(template, s) {
+  const host = s.ip || s.host || "";
+  const values = {
+    host,
+    ip: host,
+    port: s.port ?? "",
+    address: joinAddress(s) || "",
+    name: encodeURIComponent(s.name || s.id),
+    id: encodeURIComponent(s.id)
+  };
+  return template.replace(/\{(\w+)\}/g, (m, key) => (key in values ? String(values[key]) : m));
+}
+
+// Deep link for the Join button, or null when the modal has to explain it
+function joinUri(s) {
+  const address = joinAddress(s);
+  const custom = s.endpoints?.joinUri;
+  if (typeof custom === "string" && custom) {
+    const uri = fillTemplate(custom, s);
+    // Config is trusted, but never turn a typo into a script URL
+    return /^(javascript|data|vbscript):/i.test(uri.trim()) ? null : uri;
+  }
+  if (!address) return null;
+
+  switch (gameFamily(s)) {
+    case "steam":
+      return `steam://connect/${address}`;
+    case "bedrock":
+      return `minecraft://?addExternalServer=${encodeURIComponent(s.name || s.id)}|${address}`;
+    default:
+      // Java Edition has no connect URI; the modal walks players through it
+      return null;
+  }
+}
+
+const JOIN_STEPS = {
+  minecraft: "In Minecraft, open <strong>Multiplayer → Add Server</strong> and paste the address.",
+  steam: "Open the in-game console and type <span class=\"mono\">connect</span> followed by the address.",
+  bedrock: "In Minecraft, open <strong>Play → Servers → Add Server</strong> and enter the address and port."
+};
+
+function buildJoinModal(s) {
+  const address = joinAddress(s);
+  const hint = s.endpoints?.joinHint;
+  const steps = JOIN_STEPS[gameFamily(s)];
+
+  const modal = document.createElement("div");
+  modal.className = "modal-backdrop";
+  modal.innerHTML = `
+    <div class="modal card" role="dialog" aria-modal="true" aria-labelledby="joinTitle">
+      <h2 id="joinTitle">Join ${escapeHtml(s.name || s.id)}</h2>
+      <div class="tile-desc">
+        ${hint ? `<p>${escapeHtml(hint)}</p>` : ""}
+        ${steps && address ? `<p>${steps}</p>` : ""}
+        ${s.password ? `<p class="warn">This server is password protected. Ask an admin for the password.</p>` : ""}
+        ${address
+          ? `<div class="join-address"><span class="mono">${escapeHtml(address)}</span>
+               <button class="button copy" data-copy="${escapeHtml(address)}">Copy</button></div>`
+          : `<p>No public address is listed for this server.</p>`
+        }
+      </div>
+      <div class="tile-foot">
+        <span></span>
+        <button class="button close">Close</button>
+      </div>
+    </div>
+  `;
+  return modal;
+}
+
+function closeModal() {
+  document.querySelector(".modal-backdrop")?.remove();
+  document.removeEventListener("keydown", onModalKey);
+}
+
+function onModalKey(e) {
+  if (e.key === "Escape") closeModal();
+}
+
+function openJoinModal(s) {
+  closeModal();
+  const modal = buildJoinModal(s);
+
+  modal.addEventListener("click", async (e) => {
+    if (e.target === modal || e.target.closest("button.close")) return closeModal();
+    const btn = e.target.closest("button.copy");
+    if (btn) await copyToButton(btn);
+  });
+  document.addEventListener("keydown", onModalKey);
+
+  document.body.appendChild(modal);
+  modal.querySelector("button.copy, button.close")?.focus();
+}
+
+async function copyToButton(btn) {
+  await navigator.clipboard.writeText(btn.dataset.copy);
+  const prev = btn.textContent;
+  btn.textContent = "Copied";
+  setTimeout(() => (btn.textContent = prev), 900);
+}
+
 function buildDesc(s) {
   const lines = [];
 
-  if (s.maintenance && s.maintenanceReason) {
+  const running = activeWindow(s);
+  if (running) {
+    const reason = running.reason ? `<strong>${escapeHtml(running.reason)}</strong> · ` : "";
+    lines.push(`Maintenance: ${reason}ends in ${countdown(running.end)}`);
+  } else if (s.maintenance && s.maintenanceReason) {
     lines.push(
-      `Maintenance: <strong>${s.maintenanceReason}</strong>`
+      `Maintenance: <strong>${escapeHtml(s.maintenanceReason)}</strong>`
     );
   }
 
+  const upcoming = upcomingWindows(s);
+  if (upcoming.length) {
+    const [next, ...later] = upcoming;
+    const reason = next.reason ? ` · ${escapeHtml(next.reason)}` : "";
+    lines.push(`Next maintenance: in <strong>${countdown(next.start)}</strong>${reason}`);
+    if (later.length) {
+      lines.push(`<span class="fine">Then: ${later.map(w => fmtWindowTime(w.start)).join(", ")}</span>`);
+    }
+  }
+
+  const status = deriveStatus(s);
+  if (["degraded", "flapping", "unreachable"].includes(status.class) && s.reason) {
+    lines.push(`${status.label}: <strong>${escapeHtml(s.reason)}</strong>`);
+  }
+
+  // dependsOn, both ways; the root cause of an outage is highlighted
+  const nameOf = (id) => escapeHtml(CONFIG?.find(c => c.id === id)?.name || id);
+  if (s.dependsOn?.length) {
+    // s.upstream is the root; the direct upstream may only lead to it
+    const isDown = (id) => s.upstream && (id === s.upstream || LAST_MERGED.find(o => o.id === id)?.upstream === s.upstream);
+    const upstream = s.dependsOn.map(id => (isDown(id) ? `<strong class="root-cause">${nameOf(id)}</strong>` : nameOf(id)));
+    lines.push(`Depends on: ${upstream.join(", ")}`);
+  }
+  const dependents = (CONFIG || []).filter(c => c.dependsOn?.includes(s.id));
+  if (dependents.length) {
+    lines.push(`<span class="fine">Needed by: ${dependents.map(c => nameOf(c.id)).join(", ")}</span>`);
+  }
+
+  if (s.enabled !== false && !s.online && s.failure) {
+    lines.push(`Check failed: <strong>${escapeHtml(s.failure)}</strong>`);
+  }
+
   // Version (for everything, if available)
-  if (s.version) lines.push(`Version: <strong>${s.version}</strong>`);
+  if (s.version) lines.push(`Version: <strong>${escapeHtml(s.version)}</strong>`);
 
   if (s.kind === "game") {
-    if (s.players != null && s.maxPlayers != null) {
-      lines.push(`Players: <strong>${s.players} / ${s.maxPlayers}</strong>`);
+    // motdHtml is built and escaped by the poller; plain motd is not
+    if (s.motdHtml) lines.push(`<span class="motd">${s.motdHtml}</span>`);
+    else if (s.motd) lines.push(`<span class="motd">${escapeHtml(s.motd).replace(/\n/g, "<br/>")}</span>`);
+    const players = playersOf(s);
+    if (players && s.online) {
+      const max = players.max != null ? ` / ${players.max}` : "";
+      lines.push(`Players: <strong>${players.online}${max}</strong>`);
+    }
+    const stats = s.playerStats;
+    if (stats && stats.peakWeek != null) {
+      lines.push(`Peak: <strong>${stats.peakToday ?? 0}</strong> today · <strong>${stats.peakWeek}</strong> this week`);
+      const graph = playerGraph(stats.last24h);
+      if (graph) lines.push(`Last 24h: ${graph}`);
+    }
+    if (s.playerSample?.length) {
+      lines.push(`Online now: ${s.playerSample.map(escapeHtml).join(", ")}`);
+    }
+    if (s.modloader) {
+      const name = s.modloader === "neoforge" ? "NeoForge" : s.modloader[0].toUpperCase() + s.modloader.slice(1);
+      const count = s.mods?.count ? ` · ${s.mods.count} mods` : "";
+      lines.push(`Modded: <strong>${escapeHtml(name)}</strong>${count}`);
     }
+    if (s.map) lines.push(`Map: <strong>${escapeHtml(s.map)}</strong>`);
+    if (s.gamemode) lines.push(`Mode: <strong>${escapeHtml(s.gamemode)}</strong>`);
+
+    const flags = [];
+    if (s.password) flags.push("Password protected");
+    if (s.vac) flags.push("VAC secured");
+    if (flags.length) lines.push(flags.join(" · "));
     if (s.ip && s.port) {
       lines.push(`IP: <span class="mono">${s.ip}:${s.port}</span>`);
     }
@@ -103,104 +452,308 @@ function buildDesc(s) {
     if (s.ip && s.port) lines.push(`Host: <span class="mono">${s.ip}:${s.port}</span>`);
   }
 
+  if (s.enabled !== false && s.health) {
+    const health = s.health.online
+      ? `<strong>OK</strong>`
+      : `<strong class="warn">Failing</strong>${s.health.failure ? ` · ${escapeHtml(s.health.failure)}` : ""}`;
+    lines.push(`Health: ${health}`);
+  }
+
+  // Distributed polling: how each probe region sees the server
+  if (s.enabled !== false && s.regions) {
+    const home = s.meta?.region;
+    const regions = Object.entries(s.regions).map(([region, r]) => {
+      const state = r.up === r.total ? "up" : r.up ? "partial" : "down";
+      const label = region === home ? `<strong>${escapeHtml(region)}</strong>` : escapeHtml(region);
+      return `<span class="region ${state}" title="${r.up} of ${r.total} probes reach it">${label} ${r.up}/${r.total}</span>`;
+    });
+    lines.push(`Reachable from: ${regions.join(" ")}`);
+  }
+
+  if (s.enabled !== false && s.tls) {
+    const cls = s.tls.warn ? "warn" : "";
+    const when = new Date(s.tls.expiresAt).toLocaleDateString([], { dateStyle: "medium" });
+    lines.push(`Certificate: <strong class="${cls}">${fmtDays(s.tls.daysLeft)}</strong> <span class="fine">(${when})</span>`);
+  }
+
+  if (s.enabled !== false && s.online && s.rttMs != null) {
+    const cls = s.rttMs >= PING_WARN_MS ? "ping high" : "ping";
+    lines.push(`Ping: <strong class="${cls}">${s.rttMs} ms</strong>${sparkline(s.latency)}`);
+  }
+
+  const uptime = s.enabled !== false ? fmtUptime(s.uptime) : null;
+  if (uptime) lines.push(`Uptime: ${uptime}`);
+
   // Last check only (status is shown in footer)
   lines.push(`Last check: ${timeAgo(s.lastCheckAt)}`);
 
   return lines.join("<br/>");
 }
 
-function render(mergedList) {
-  grid.innerHTML = "";
+// ---- Search, filters and sorting ----
+function playerCount(s) {
+  return s.online ? (playersOf(s)?.online ?? null) : null;
+}
+
+function matchesSearch(s, q) {
+  const haystack = [s.id, s.name, s.description, ...(s.tags || [])]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+  return q.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+}
+
+function matchesTags(s, tags, match) {
+  if (!tags.length) return true;
+  const own = s.tags || [];
+  return match === "all" ? tags.every(t => own.includes(t)) : tags.some(t => own.includes(t));
+}
 
+// Missing values always sort last
+function byNumber(get, dir) {
+  return (a, b) => {
+    const x = get(a);
+    const y = get(b);
+    if (x == null || y == null) return (x == null) - (y == null);
+    return dir * (x - y);
+  };
+}
+
+const SORTERS = {
+  status: (a, b) => Number(b.online) - Number(a.online),
+  name: (a, b) => String(a.name || a.id).localeCompare(String(b.name || b.id)),
+  players: byNumber(playerCount, -1),
+  latency: byNumber(s => (s.online ? s.rttMs : null), 1),
+  lastCheck: byNumber(s => (s.lastCheckAt ? Date.parse(s.lastCheckAt) : null), -1)
+};
+
+function visibleServers(mergedList) {
+  const page = currentRoute(); // from shell.js
   let list = page === "all"
     ? mergedList
     : mergedList.filter(s => s.group === page);
 
-  if (ACTIVE_TAG) {
-    list = list.filter(s => (s.tags || []).includes(ACTIVE_TAG));
+  if (FILTERS.q) list = list.filter(s => matchesSearch(s, FILTERS.q));
+  list = list.filter(s => matchesTags(s, FILTERS.tags, FILTERS.match));
+  if (FILTERS.status.length) {
+    list = list.filter(s => FILTERS.status.includes(deriveStatus(s).class));
   }
 
-  const filterEl = document.getElementById("activeFilter");
-  if (filterEl) filterEl.textContent = `Filter: ${ACTIVE_TAG ?? "All"}`;
+  return [...list].sort(SORTERS[FILTERS.sort] || SORTERS.status);
+}
 
+function readFiltersFromUrl() {
+  const params = new URLSearchParams(location.search);
+  const list = (key) => params.getAll(key).flatMap(v => v.split(",")).map(v => v.trim()).filter(Boolean);
 
-  // Optional: sort online first
-  list.sort((a, b) => Number(b.online) - Number(a.online));
+  FILTERS.q = params.get("q") || "";
+  FILTERS.tags = list("tag");
+  FILTERS.match = params.get("match") === "all" ? "all" : "any";
+  FILTERS.status = list("status").filter(v => STATUS_FILTERS.includes(v));
+  FILTERS.sort = SORTS[params.get("sort")] ? params.get("sort") : "status";
+}
 
-  list.forEach(s => {
-    const tile = document.createElement("div");
+function writeFiltersToUrl() {
+  const params = new URLSearchParams();
+  if (FILTERS.q) params.set("q", FILTERS.q);
+  FILTERS.tags.forEach(t => params.append("tag", t));
+  if (FILTERS.tags.length > 1 && FILTERS.match === "all") params.set("match", "all");
+  if (FILTERS.status.length) params.set("status", FILTERS.status.join(","));
+  if (FILTERS.sort !== "status") params.set("sort", FILTERS.sort);
 
-    const status = deriveStatus(s);
-    tile.className = `tile ${status.class}`;
+  const query = params.toString();
+  history.replaceState(null, "", `${location.pathname}${query ? `?${query}` : ""}${location.hash}`);
+}
 
-    const descHtml = buildDesc(s);
+function describeFilters() {
+  const parts = [];
+  if (FILTERS.q) parts.push(`“${FILTERS.q}”`);
+  if (FILTERS.tags.length) parts.push(FILTERS.tags.join(FILTERS.match === "all" ? " + " : " or "));
+  if (FILTERS.status.length) parts.push(FILTERS.status.join("/"));
+  return parts.length ? parts.join(" · ") : "All";
+}
 
-    const isPlaceholderHost = s.ip === "0.0.0.0";
-    const copyTarget = (s.ip && s.port && !isPlaceholderHost) ? `${s.ip}:${s.port}` : null;
+function buildToolbar() {
+  const bar = document.createElement("div");
+  bar.className = "toolbar";
+  bar.innerHTML = `
+    <input class="search" type="search" placeholder="Search name, description, tags" aria-label="Search" />
+    <div class="toolbar-group" role="group" aria-label="Status">
+      ${STATUS_FILTERS.map(st => `<button class="tab" data-status="${st}">${st[0].toUpperCase() + st.slice(1)}</button>`).join("")}
+    </div>
+    <label class="fine">Tags
+      <select class="match">
+        <option value="any">match any</option>
+        <option value="all">match all</option>
+      </select>
+    </label>
+    <label class="fine">Sort
+      <select class="sort">
+        ${Object.entries(SORTS).map(([k, label]) => `<option value="${k}">${label}</option>`).join("")}
+      </select>
+    </label>
+    <button class="button clear">Clear</button>
+  `;
+
+  bar.addEventListener("input", (e) => {
+    if (e.target.matches(".search")) FILTERS.q = e.target.value.trim();
+    if (e.target.matches(".match")) FILTERS.match = e.target.value;
+    if (e.target.matches(".sort")) FILTERS.sort = e.target.value;
+    applyFilters();
+  });
 
-    tile.innerHTML = `
-      <div class="tile-head">
-        ${(s.tags || []).map(t => `
-          <span class="pill ${ACTIVE_TAG === t ? "active" : ""}" data-tag="${t}">
-            ${t}
-          </span>
-        `).join("")}
-      </div>
+  bar.addEventListener("click", (e) => {
+    const chip = e.target.closest("[data-status]");
+    if (chip) {
+      const st = chip.dataset.status;
+      FILTERS.status = FILTERS.status.includes(st)
+        ? FILTERS.status.filter(x => x !== st)
+        : [...FILTERS.status, st];
+      applyFilters();
+    }
+    if (e.target.closest("button.clear")) {
+      Object.assign(FILTERS, { q: "", tags: [], match: "any", status: [], sort: "status" });
+      applyFilters();
+    }
+  });
 
-      <div class="tile-title">${s.name}</div>
-      <div class="tile-desc">${descHtml}</div>
+  return bar;
+}
 
-      <div class="tile-foot">
-        <div class="status">
-          <span class="dot ${status.dot}"></span>
-          ${status.label}
-        </div>
+// Keeps the controls in step with FILTERS (after URL loads and clears)
+function syncToolbar() {
+  const bar = document.querySelector(".toolbar");
+  if (!bar) return;
+  const search = bar.querySelector(".search");
+  if (search.value.trim() !== FILTERS.q) search.value = FILTERS.q;
+  bar.querySelector(".match").value = FILTERS.match;
+  bar.querySelector(".sort").value = FILTERS.sort;
+  bar.querySelectorAll("[data-status]").forEach(chip => {
+    chip.classList.toggle("active", FILTERS.status.includes(chip.dataset.status));
+  });
+}
 
-        <div>
-          ${s.enabled !== false && s.online && s.kind === "game"
-            ? `<a class="button primary join" data-id="${s.id}">Join</a>`
-            : ""
-          }
-          ${copyTarget ? `<button class="button copy" data-copy="${copyTarget}">Copy IP</button>` : ""}
-          ${s.url ? `<a class="button" href="${s.url}" target="_blank" rel="noreferrer">Open</a>` : ""}
-        </div>
+function applyFilters() {
+  writeFiltersToUrl();
+  syncToolbar();
+  render(LAST_MERGED);
+}
+
+function buildTile(s) {
+  const tile = document.createElement("div");
+
+  const status = deriveStatus(s);
+  tile.className = `tile ${status.class}${hasWarning(s) ? " warning" : ""}`;
+  tile.dataset.id = s.id;
+
+  const descHtml = buildDesc(s);
+
+  // Server icon (Minecraft favicon); only inline PNG data is accepted
+  const icon = typeof s.favicon === "string" && s.favicon.startsWith("data:image/png;base64,")
+    ? `<img class="tile-icon" src="${escapeHtml(s.favicon)}" alt="" width="32" height="32" />`
+    : "";
+
+  const isPlaceholderHost = s.ip === "0.0.0.0";
+  const copyTarget = (s.ip && s.port && !isPlaceholderHost) ? `${s.ip}:${s.port}` : null;
+  const launch = joinUri(s);
+
+  tile.innerHTML = `
+    <div class="tile-head">
+      ${(s.tags || []).map(t => `
+        <span class="pill ${FILTERS.tags.includes(t) ? "active" : ""}" data-tag="${t}">
+          ${t}
+        </span>
+      `).join("")}
+    </div>
+
+    <div class="tile-title">${icon}${s.name}</div>
+    <div class="tile-desc">${descHtml}</div>
+
+    <div class="tile-foot">
+      <div class="status">
+        <span class="dot ${status.dot}${hasWarning(s) ? " warn" : ""}"></span>
+        ${status.label}${hasWarning(s) ? " · Warning" : ""}
       </div>
-    `;
 
-    grid.appendChild(tile);
+      <div>
+        ${s.enabled !== false && s.online && s.kind === "game"
+          ? `<a class="button primary join" data-id="${s.id}" ${launch ? `href="${escapeHtml(launch)}"` : `href="#"`}>Join</a>`
+          : ""
+        }
+        ${copyTarget ? `<button class="button copy" data-copy="${copyTarget}">Copy IP</button>` : ""}
+        ${s.url ? `<a class="button" href="${s.url}" target="_blank" rel="noreferrer">Open</a>` : ""}
+      </div>
+    </div>
+  `;
 
-  });
+  return tile;
+}
 
-  // Copy buttons
-  document.querySelectorAll("button.copy").forEach(btn => {
-    btn.addEventListener("click", async () => {
-      await navigator.clipboard.writeText(btn.dataset.copy);
-      const prev = btn.textContent;
-      btn.textContent = "Copied";
-      setTimeout(() => (btn.textContent = prev), 900);
-    });
-  });
+function render(mergedList) {
+  grid.innerHTML = "";
 
-  // Join buttons (placeholder for now)
-  document.querySelectorAll("a.join").forEach(a => {
-    a.addEventListener("click", (e) => {
-      e.preventDefault();
-      alert("Join action not wired yet (next step).");
-    });
-  });
+  const filterEl = document.getElementById("activeFilter");
+  if (filterEl) filterEl.textContent = `Filter: ${describeFilters()}`;
 
-  // Tag filtering (click pills)
-  document.querySelectorAll(".pill[data-tag]").forEach(pill => {
-    pill.addEventListener("click", (e) => {
-      e.stopPropagation();
-      const tag = pill.dataset.tag;
+  const list = visibleServers(mergedList);
+  list.forEach(s => grid.appendChild(buildTile(s)));
+  if (!list.length && mergedList.length) {
+    grid.innerHTML = `<div class="tile"><div class="tile-desc">No servers match these filters.</div></div>`;
+  }
+}
 
-      ACTIVE_TAG = (ACTIVE_TAG === tag) ? null : tag;
-      render(LAST_MERGED);
-    });
-  });
+// Apply one server's new status. Only that tile is replaced, unless the
+// change moves it in or out of the filtered, sorted list; then the grid
+// is rebuilt.
+function patchServer(id, status) {
+  const idx = LAST_MERGED.findIndex(s => s.id === id);
+  const cfg = CONFIG.find(c => c.id === id);
+  if (idx < 0 || !cfg) return;
+
+  const before = visibleServers(LAST_MERGED).map(s => s.id).join("\n");
+  const next = mergeConfigWithStatus([cfg], { [id]: status })[0];
+  LAST_MERGED[idx] = next;
+
+  if (visibleServers(LAST_MERGED).map(s => s.id).join("\n") !== before) {
+    render(LAST_MERGED);
+    return;
+  }
+
+  const el = [...grid.querySelectorAll(".tile[data-id]")].find(t => t.dataset.id === id);
+  if (el) el.replaceWith(buildTile(next));
 }
 
+// One delegated listener survives both full renders and tile patches
+grid.addEventListener("click", async (e) => {
+  // Tag filtering (click pills)
+  const pill = e.target.closest(".pill[data-tag]");
+  if (pill) {
+    e.stopPropagation();
+    const tag = pill.dataset.tag;
+
+    FILTERS.tags = FILTERS.tags.includes(tag)
+      ? FILTERS.tags.filter(t => t !== tag)
+      : [...FILTERS.tags, tag];
+    applyFilters();
+    return;
+  }
+
+  // Copy buttons
+  const btn = e.target.closest("button.copy");
+  if (btn) {
+    await copyToButton(btn);
+    return;
+  }
+
+  // Join buttons: deep links open the game; everything else gets the modal
+  const join = e.target.closest("a.join");
+  if (join && join.getAttribute("href") === "#") {
+    e.preventDefault();
+    const s = LAST_MERGED.find(x => x.id === join.dataset.id);
+    if (s) openJoinModal(s);
+  }
+});
+
 async function loadJson(path) {
   const url = new URL(path, window.location.href);
   url.searchParams.set("_ts", Date.now().toString()); // cache bust
@@ -210,27 +763,105 @@ async function loadJson(path) {
   return res.json();
 }
 
-async function main() {
-  try {
-    CONFIG = await loadJson("./servers.config.json");
+function markUpdated() {
+  const el = document.getElementById("lastUpdated");
+  if (el) el.textContent = `Last updated: ${new Date().toLocaleTimeString()}`;
+}
 
-    const tick = async () => {
-      const statusMap = await loadJson("./servers.status.json");
-      const nowIso = new Date().toISOString();
+// The config is a plain list of servers, or { groups, servers, ... }
+function serverList(config) {
+  return Array.isArray(config) ? config : (config?.servers || []);
+}
 
-    Object.keys(statusMap).forEach(id => {
-      statusMap[id].lastCheckAt ??= nowIso;
-    });
-      LAST_MERGED = mergeConfigWithStatus(CONFIG, statusMap);
-      render(LAST_MERGED);
+// Reloads config as well, so edits show up without a page reload
+async function refresh() {
+  const config = await loadJson("./servers.config.json");
+  CONFIG = serverList(config);
+  applyShell(config);
+  const statusMap = await loadJson("./servers.status.json");
+  const nowIso = new Date().toISOString();
 
+  Object.keys(statusMap).forEach(id => {
+    statusMap[id].lastCheckAt ??= nowIso;
+  });
+  LAST_STATUS = statusMap;
+  LAST_MERGED = mergeConfigWithStatus(CONFIG, statusMap);
+  render(LAST_MERGED);
+  markUpdated();
+}
 
-      const el = document.getElementById("lastUpdated");
-      if (el) el.textContent = `Last updated: ${new Date().toLocaleTimeString()}`;
-    };
+let POLL_TIMER = null;
 
-    await tick();                // initial render immediately
-    setInterval(tick, REFRESH_MS); // refresh every 15s
+function startPolling() {
+  if (POLL_TIMER) return;
+  POLL_TIMER = setInterval(() => refresh().catch(console.error), REFRESH_MS);
+}
+
+function stopPolling() {
+  clearInterval(POLL_TIMER);
+  POLL_TIMER = null;
+}
+
+// Live updates from `poller.js --serve`. Interval polling stays on until
+// the stream is open, and comes back whenever the stream drops or does
+// not exist (static hosting answers 404 and EventSource gives up).
+function startLiveUpdates() {
+  startPolling();
+  if (!("EventSource" in window) || location.protocol === "file:") return;
+
+  const es = new EventSource("./api/events");
+
+  es.addEventListener("open", stopPolling);
+  es.addEventListener("error", startPolling);
+
+  es.addEventListener("snapshot", (e) => {
+    LAST_STATUS = JSON.parse(e.data);
+    LAST_MERGED = mergeConfigWithStatus(CONFIG, LAST_STATUS);
+    render(LAST_MERGED);
+    markUpdated();
+  });
+
+  es.addEventListener("status", (e) => {
+    const { id, ...status } = JSON.parse(e.data);
+    LAST_STATUS[id] = status;
+    patchServer(id, status);
+    markUpdated();
+  });
+
+  // servers.config.json was edited and reloaded by the poller
+  es.addEventListener("config", (e) => {
+    const config = JSON.parse(e.data);
+    CONFIG = serverList(config);
+    applyShell(config);
+    LAST_MERGED = mergeConfigWithStatus(CONFIG, LAST_STATUS);
+    render(LAST_MERGED);
+  });
+}
+
+// Countdowns tick every second; a window starting or ending re-renders
+// so the tile changes state without waiting for the next check.
+function tickCountdowns() {
+  const now = Date.now();
+  for (const el of grid.querySelectorAll(".countdown[data-until]")) {
+    const left = Date.parse(el.dataset.until) - now;
+    if (left <= 0) {
+      render(LAST_MERGED);
+      return;
+    }
+    el.textContent = fmtCountdown(left);
+  }
+}
+
+async function main() {
+  readFiltersFromUrl();
+  grid.before(buildToolbar());
+  syncToolbar();
+  document.addEventListener("nebula:route", () => render(LAST_MERGED));
+
+  try {
+    await refresh();      // initial render immediately
+    startLiveUpdates();   // SSE when available, else refresh every 15s
+    setInterval(tickCountdowns, 1000);
 
   } catch (err) {
     console.error(err);
@@ -247,12 +878,3 @@ async function main() {
 }
 
 main();
-
-// Tabs auto-active
-(() => {
-  const file = location.pathname.split("/").pop() || "index.html";
-  document.querySelectorAll(".tab").forEach(a => {
-    const href = a.getAttribute("href")?.replace("./", "") || "";
-    a.classList.toggle("active", href === file);
-  });
-})();
@@ -0,0 +1,101 @@
+// Page shell shared by the dashboard, the incidents and admin pages: tabs,
+// title and tagline come from the config's `groups` section, and the
+// dashboard picks its group from the hash (index.html#/games).
+
+const ALL_GROUP = {
+  id: "all",
+  title: "All Services",
+  tagline: "Real-time service and server status"
+};
+
+// Titles for configs without a `groups` section (the old per-group pages)
+const DEFAULT_GROUP_TEXT = {
+  games: { title: "Game Servers", tagline: "Live game server status & player activity" },
+  core: { title: "Core Applications" },
+  dev: { title: "Dev / Internal Applications" }
+};
+
+const IS_DASHBOARD = !!document.getElementById("serverGrid");
+
+// Server-reported text (MOTDs, names) must never be injected as markup
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+let GROUPS = [];
+
+// `groups` from the config, or one tab per group used by a server
+function groupsFrom(config) {
+  if (!Array.isArray(config) && config?.groups?.length) return config.groups;
+
+  const servers = Array.isArray(config) ? config : (config?.servers || []);
+  const ids = [...new Set(servers.map(s => s.group).filter(Boolean))];
+  return ids.map(id => {
+    const name = id[0].toUpperCase() + id.slice(1);
+    return {
+      id,
+      tab: name,
+      title: DEFAULT_GROUP_TEXT[id]?.title || name,
+      tagline: DEFAULT_GROUP_TEXT[id]?.tagline
+    };
+  });
+}
+
+function currentRoute() {
+  const m = /^#\/([^/?]+)/.exec(location.hash);
+  return m ? decodeURIComponent(m[1]) : "all";
+}
+
+function routeGroup() {
+  const id = currentRoute();
+  const all = GROUPS.find(g => g.id === "all");
+  if (id === "all") return { ...ALL_GROUP, ...all };
+  return GROUPS.find(g => g.id === id) || { id, title: id };
+}
+
+function tabHref(id) {
+  const hash = id === "all" ? "#/" : `#/${encodeURIComponent(id)}`;
+  return IS_DASHBOARD ? hash : `./index.html${hash}`;
+}
+
+function renderShell() {
+  const tabs = document.getElementById("tabs");
+  // Other pages name themselves: <body data-page="incidents">
+  const active = IS_DASHBOARD ? currentRoute() : (document.body.dataset.page || "incidents");
+
+  if (tabs) {
+    const items = [
+      { id: "all", title: "All", href: tabHref("all") },
+      ...GROUPS.filter(g => g.id !== "all").map(g => ({ id: g.id, title: g.tab || g.title || g.id, href: tabHref(g.id) })),
+      { id: "incidents", title: "Incidents", href: "./incidents.html" }
+    ];
+    tabs.innerHTML = items.map(t => `
+      <a class="tab ${t.id === active ? "active" : ""}" href="${escapeHtml(t.href)}">${escapeHtml(t.title)}</a>
+    `).join("");
+  }
+
+  if (!IS_DASHBOARD) return;
+
+  const group = routeGroup();
+  const title = document.getElementById("pageTitle");
+  const tagline = document.getElementById("pageTagline");
+  if (title) title.textContent = group.title || group.id;
+  if (tagline) tagline.textContent = group.tagline || ALL_GROUP.tagline;
+  document.title = group.id === "all" ? "Nebula Servers" : `${group.title || group.id} · Nebula Servers`;
+}
+
+// Called with the raw config whenever it is (re)loaded
+function applyShell(config) {
+  GROUPS = groupsFrom(config);
+  renderShell();
+}
+
+window.addEventListener("hashchange", () => {
+  renderShell();
+  document.dispatchEvent(new CustomEvent("nebula:route"));
+});